@@ -1,18 +1,8 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
-const nodemailer = require('nodemailer');
 const { createActivity } = require('./userActivityController');
-
-// Create email transporter with Mailtrap
-const transporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST,
-  port: process.env.SMTP_PORT,
-  auth: {
-    user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASS
-  }
-});
+const { transporter } = require('../utils/email');
 
 // Generate JWT Token
 const generateToken = (id, role) => {
@@ -1,13 +1,18 @@
+const mongoose = require('mongoose');
 const Booking = require('../models/Booking');
 const Car = require('../models/Car');
-const AdditionalService = require('../models/AdditionalService');
 const { asyncHandler } = require('../middleware/asyncHandler');
+const { parseDateRange, getAvailableUnits, getUnitsAtBranch, lockCar } = require('../utils/availability');
+const { quoteBooking, toBookingServices } = require('../utils/pricing');
+const { applyStatusChange, initialStatusHistory } = require('../utils/bookingStatus');
+const { getCancellationPolicy, applyCancellation } = require('../utils/cancellation');
+const { branchLocation, resolveBookingBranches } = require('../utils/branches');
 
 // @desc    Create new booking
 // @route   POST /api/bookings
 // @access  Private
 exports.createBooking = asyncHandler(async (req, res) => {
-  const { vehicleId, startDate, endDate, additionalServices } = req.body;
+  const { vehicleId, startDate, endDate, additionalServices, pickupBranch: pickupBranchId, dropoffBranch: dropoffBranchId } = req.body;
 
   // Check if vehicle exists and is available
   const vehicle = await Car.findById(vehicleId);
@@ -18,73 +23,91 @@ exports.createBooking = asyncHandler(async (req, res) => {
     });
   }
 
-  if (!vehicle.availability) {
+  if (!vehicle.availability || vehicle.archivedAt) {
     return res.status(400).json({ 
       success: false,
       message: 'Vehicle is not available for booking' 
     });
   }
 
-  // Check for date conflicts with existing bookings
-  const conflictingBooking = await Booking.findOne({
-    vehicleId,
-    status: { $in: ['pending', 'active'] },
-    $or: [
-      { startDate: { $lte: new Date(endDate), $gte: new Date(startDate) } },
-      { endDate: { $gte: new Date(startDate), $lte: new Date(endDate) } },
-      { 
-        $and: [
-          { startDate: { $lte: new Date(startDate) } },
-          { endDate: { $gte: new Date(endDate) } }
-        ]
-      }
-    ]
-  });
+  const { start, end, error } = parseDateRange(startDate, endDate);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
 
-  if (conflictingBooking) {
+  const { pickupBranch, dropoffBranch, error: branchError, statusCode } =
+    await resolveBookingBranches({ car: vehicle, pickupBranchId, dropoffBranchId, start, end });
+  if (branchError) {
+    return res.status(statusCode).json({
+      success: false,
+      message: branchError
+    });
+  }
+
+  // Compute the itemized price from stored car and service prices
+  const { quote, services, error: priceError } = await quoteBooking({
+    car: vehicle,
+    start,
+    end,
+    additionalServices,
+    pickupBranch,
+    dropoffBranch
+  });
+  if (priceError) {
     return res.status(400).json({
       success: false,
-      message: 'Vehicle is already booked for these dates'
+      message: priceError
     });
   }
 
-  // Calculate rental duration in days
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  const durationInDays = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
+  // Check availability and create the booking in one transaction so
+  // parallel requests cannot both take the last unit
+  const booking = await mongoose.connection.transaction(async (session) => {
+    await lockCar(vehicle._id, session);
 
-  // Calculate base amount
-  let totalAmount = vehicle.pricePerDay * durationInDays;
+    const availableUnits = await getAvailableUnits(vehicle, start, end, { session });
+    if (availableUnits <= 0) {
+      return null;
+    }
 
-  // Process additional services
-  let bookingAdditionalServices = [];
-  if (additionalServices && additionalServices.length > 0) {
-    const serviceIds = additionalServices.map(service => service.serviceId);
-    const services = await AdditionalService.find({ _id: { $in: serviceIds } });
-    
-    bookingAdditionalServices = services.map(service => ({
-      serviceId: service._id,
-      name: service.name,
-      price: service.price
-    }));
-    
-    // Add service costs to total
-    const additionalCost = services.reduce((sum, service) => sum + service.price, 0);
-    totalAmount += additionalCost * durationInDays;
-  }
-
-  // Create booking
-  const booking = await Booking.create({
-    userId: req.user.id,
-    vehicleId,
-    startDate,
-    endDate,
-    totalAmount,
-    additionalServices: bookingAdditionalServices,
-    status: 'pending',
-    paymentStatus: 'pending'
+    // The car also has to be at the pickup branch
+    if (pickupBranch) {
+      const unitsAtBranch = await getUnitsAtBranch(vehicle, pickupBranch._id, start, end, { session });
+      if (unitsAtBranch !== null && unitsAtBranch <= 0) {
+        return null;
+      }
+    }
+
+    const [created] = await Booking.create([{
+      userId: req.user.id,
+      vehicleId,
+      startDate: start,
+      endDate: end,
+      pickupBranch: pickupBranch ? pickupBranch._id : undefined,
+      dropoffBranch: dropoffBranch ? dropoffBranch._id : undefined,
+      pickupLocation: pickupBranch ? branchLocation(pickupBranch) : undefined,
+      dropoffLocation: dropoffBranch ? branchLocation(dropoffBranch) : undefined,
+      totalAmount: quote.total,
+      priceBreakdown: quote,
+      additionalServices: toBookingServices(services),
+      status: 'pending',
+      statusHistory: initialStatusHistory(req.user.id),
+      paymentStatus: 'pending'
+    }], { session });
+
+    return created;
   });
 
+  if (!booking) {
+    return res.status(400).json({
+      success: false,
+      message: 'Vehicle is already booked for these dates'
+    });
+  }
+
   // Populate vehicle data for the response
   await booking.populate('vehicle');
 
@@ -190,7 +213,23 @@ exports.updateBooking = asyncHandler(async (req, res) => {
     }
   }
 
-  booking.status = status;
+  // Status changes must follow the booking state machine
+  const { error, statusCode } = applyStatusChange(booking, status, {
+    changedBy: req.user.id,
+    note: req.body.note
+  });
+  if (error) {
+    return res.status(statusCode).json({
+      success: false,
+      message: error
+    });
+  }
+
+  if (status === 'cancelled') {
+    const policy = await getCancellationPolicy();
+    applyCancellation(booking, policy, req.user.id);
+  }
+
   booking.updatedAt = Date.now();
   
   await booking.save();
@@ -0,0 +1,99 @@
+const Branch = require('../models/Branch');
+const { asyncHandler } = require('../middleware/asyncHandler');
+
+// @desc    Create a new branch
+// @route   POST /api/branches
+// @access  Private/Admin
+exports.createBranch = asyncHandler(async (req, res) => {
+  const branch = await Branch.create(req.body);
+
+  res.status(201).json({
+    success: true,
+    data: branch
+  });
+});
+
+// @desc    Get all branches
+// @route   GET /api/branches
+// @access  Public
+exports.getBranches = asyncHandler(async (req, res) => {
+  const filter = {};
+
+  // Include closed-down branches only when asked for
+  if (req.query.showAll !== 'true') {
+    filter.isActive = true;
+  }
+
+  const branches = await Branch.find(filter).sort('name');
+
+  res.status(200).json({
+    success: true,
+    count: branches.length,
+    data: branches
+  });
+});
+
+// @desc    Get single branch
+// @route   GET /api/branches/:id
+// @access  Public
+exports.getBranch = asyncHandler(async (req, res) => {
+  const branch = await Branch.findById(req.params.id);
+
+  if (!branch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Branch not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: branch
+  });
+});
+
+// @desc    Update branch
+// @route   PUT /api/branches/:id
+// @access  Private/Admin
+exports.updateBranch = asyncHandler(async (req, res) => {
+  const branch = await Branch.findById(req.params.id);
+
+  if (!branch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Branch not found'
+    });
+  }
+
+  // Save through the document so the opening hours validation runs
+  branch.set(req.body);
+  await branch.save();
+
+  res.status(200).json({
+    success: true,
+    data: branch
+  });
+});
+
+// @desc    Delete branch
+// @route   DELETE /api/branches/:id
+// @access  Private/Admin
+exports.deleteBranch = asyncHandler(async (req, res) => {
+  const branch = await Branch.findById(req.params.id);
+
+  if (!branch) {
+    return res.status(404).json({
+      success: false,
+      message: 'Branch not found'
+    });
+  }
+
+  // Soft delete so cars and past bookings keep their branch
+  branch.isActive = false;
+  await branch.save();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
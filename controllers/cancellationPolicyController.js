@@ -0,0 +1,124 @@
+const CancellationPolicy = require('../models/CancellationPolicy');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { getCancellationPolicy } = require('../utils/cancellation');
+
+// Only one policy can be the default at a time
+const clearOtherDefaults = (policy) => {
+  if (!policy.isDefault) {
+    return Promise.resolve();
+  }
+  return CancellationPolicy.updateMany(
+    { _id: { $ne: policy._id }, isDefault: true },
+    { isDefault: false, updatedAt: Date.now() }
+  );
+};
+
+// @desc    Create a new cancellation policy
+// @route   POST /api/cancellation-policies
+// @access  Private/Admin
+exports.createPolicy = asyncHandler(async (req, res) => {
+  const policy = await CancellationPolicy.create(req.body);
+  await clearOtherDefaults(policy);
+
+  res.status(201).json({
+    success: true,
+    data: policy
+  });
+});
+
+// @desc    Get the policy currently applied to cancellations
+// @route   GET /api/cancellation-policies/current
+// @access  Public
+exports.getCurrentPolicy = asyncHandler(async (req, res) => {
+  const policy = await getCancellationPolicy();
+
+  res.status(200).json({
+    success: true,
+    data: policy
+  });
+});
+
+// @desc    Get all cancellation policies
+// @route   GET /api/cancellation-policies
+// @access  Private/Admin
+exports.getPolicies = asyncHandler(async (req, res) => {
+  const policies = await CancellationPolicy.find({ isActive: true }).sort('-isDefault name');
+
+  res.status(200).json({
+    success: true,
+    count: policies.length,
+    data: policies
+  });
+});
+
+// @desc    Get single cancellation policy
+// @route   GET /api/cancellation-policies/:id
+// @access  Private/Admin
+exports.getPolicy = asyncHandler(async (req, res) => {
+  const policy = await CancellationPolicy.findById(req.params.id);
+
+  if (!policy) {
+    return res.status(404).json({
+      success: false,
+      message: 'Cancellation policy not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: policy
+  });
+});
+
+// @desc    Update cancellation policy
+// @route   PUT /api/cancellation-policies/:id
+// @access  Private/Admin
+exports.updatePolicy = asyncHandler(async (req, res) => {
+  let policy = await CancellationPolicy.findById(req.params.id);
+
+  if (!policy) {
+    return res.status(404).json({
+      success: false,
+      message: 'Cancellation policy not found'
+    });
+  }
+
+  policy = await CancellationPolicy.findByIdAndUpdate(
+    req.params.id,
+    { ...req.body, updatedAt: Date.now() },
+    {
+      new: true,
+      runValidators: true
+    }
+  );
+  await clearOtherDefaults(policy);
+
+  res.status(200).json({
+    success: true,
+    data: policy
+  });
+});
+
+// @desc    Delete cancellation policy
+// @route   DELETE /api/cancellation-policies/:id
+// @access  Private/Admin
+exports.deletePolicy = asyncHandler(async (req, res) => {
+  const policy = await CancellationPolicy.findById(req.params.id);
+
+  if (!policy) {
+    return res.status(404).json({
+      success: false,
+      message: 'Cancellation policy not found'
+    });
+  }
+
+  // Soft delete by setting isActive to false
+  policy.isActive = false;
+  policy.isDefault = false;
+  await policy.save();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
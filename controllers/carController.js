@@ -1,40 +1,51 @@
 const Car = require('../models/Car');
+const DamageReport = require('../models/DamageReport');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const Branch = require('../models/Branch');
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/Booking');
+const BookingHold = require('../models/BookingHold');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const mongoose = require('mongoose');
+const {
+  BLOCKING_STATUSES,
+  parseDateRange,
+  buildAvailabilityCalendar,
+  getAvailableUnits,
+  getUnitsAtBranches
+} = require('../utils/availability');
+const {
+  buildCarFilter,
+  parseSort,
+  parseFields,
+  parseLimit,
+  encodeCursor,
+  cursorFilter
+} = require('../utils/carQuery');
+const {
+  DEFAULT_SUGGESTIONS,
+  MAX_SUGGESTIONS,
+  MAX_SUGGESTION_QUERY_LENGTH,
+  suggestCars
+} = require('../utils/carSearch');
+const { processPhotos, photoPaths } = require('../utils/imageProcessing');
+const storage = require('../utils/storage');
 const ObjectId = mongoose.Types.ObjectId;
 
-// First, define a function to create a car directory
-const createCarDirectory = (carName, existingDirName = null) => {
-  const uploadPath = process.env.UPLOAD_PATH || 'uploads';
-  
-  // Create main uploads directory if it doesn't exist
-  if (!fs.existsSync(uploadPath)) {
-    fs.mkdirSync(uploadPath, { recursive: true });
-  }
-  
-  // Use existing directory name if provided (for updates)
+// Storage directory of a car's photos, derived from its name on creation
+const getCarDirName = (carName, existingDirName = null) => {
+  // Keep the directory a car already has (for updates)
   if (existingDirName) {
-    const existingPath = path.join(uploadPath, existingDirName);
-    if (fs.existsSync(existingPath)) {
-      return { path: existingPath, dirName: existingDirName };
-    }
+    return existingDirName;
   }
-  
+
   // Sanitize the car name to make it suitable for a directory name
-  const sanitizedName = carName.replace(/[^a-zA-Z0-9-_]/g, '_').toLowerCase();
-  
-  // Create a unique directory name
-  const dirName = sanitizedName;
-  const dirPath = path.join(uploadPath, dirName);
-  
-  // Create the directory if it doesn't exist
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath, { recursive: true });
-  }
-  
-  return { path: dirPath, dirName: dirName };
+  const dirName = carName.replace(/[^a-zA-Z0-9-_]/g, '_').toLowerCase();
+
+  // Keep clear of the directories of profile, inspection and damage photos
+  return storage.RESERVED_DIR_NAMES.includes(dirName) ? `car_${dirName}` : dirName;
 };
 
 // Configure multer for temporary uploads
@@ -70,6 +81,12 @@ const tempUpload = multer({
   }
 }).array('photos', 5); // Allow up to 5 photos
 
+// Shared with other controllers that accept photos (e.g. damage reports)
+exports.tempUpload = tempUpload;
+
+// Remove every variant of car photos from storage
+const deletePhotoFiles = (photos) => storage.removeFiles(photos.flatMap(photoPaths));
+
 // Create a new car
 exports.createCar = async (req, res) => {
   try {
@@ -91,32 +108,44 @@ exports.createCar = async (req, res) => {
       const carName = req.body.name || `${req.body.brand || req.body.make} ${req.body.model} ${req.body.year}`;
       console.log('Creating car with name:', carName);
       
-      // Step 2: Create a proper directory for the car
-      const { path: carDirPath, dirName: carDirName } = createCarDirectory(carName);
-      console.log('Created car directory:', carDirName);
+      // Step 2: Pick the storage directory for the car
+      const carDirName = getCarDirName(carName);
+      console.log('Using car directory:', carDirName);
       
-      // Step 3: Move files from temp directory to car directory
-      const photos = [];
-      if (req.files && req.files.length > 0) {
-        for (const file of req.files) {
-          const newFileName = 'photo-' + Date.now() + '-' + Math.round(Math.random() * 1E9) + path.extname(file.originalname);
-          const newFilePath = path.join(carDirPath, newFileName);
-          
-          // Move the file
-          fs.renameSync(file.path, newFilePath);
-          
-          // Store relative path
-          const relativePath = path.join(carDirName, newFileName).replace(/\\/g, '/');
-          photos.push(relativePath);
-        }
+      // Step 3: Check the uploads and store their WebP variants in the car directory
+      let photos, photoError;
+      try {
+        ({ photos, error: photoError } = await processPhotos(req.files, carDirName));
+      } catch (error) {
+        console.error('Error storing car photos:', error);
+        return res.status(500).json({
+          status: 'error',
+          message: 'The photos could not be stored, please try again'
+        });
+      }
+      if (photoError) {
+        return res.status(400).json({
+          status: 'error',
+          message: photoError
+        });
       }
       
       // Step 4: Create the car record
-      const car = await Car.create({
-        ...req.body,
-        photos,
-        carDirName // Save the directory name in the car document
-      });
+      let car;
+      try {
+        car = await Car.create({
+          ...req.body,
+          photos,
+          carDirName // Save the directory name in the car document
+        });
+      } catch (error) {
+        await deletePhotoFiles(photos);
+        console.error('Error creating car:', error);
+        return res.status(400).json({
+          status: 'error',
+          message: error.message
+        });
+      }
 
       res.status(201).json({
         status: 'success',
@@ -138,27 +167,113 @@ exports.createCar = async (req, res) => {
 exports.getAllCars = async (req, res) => {
   try {
     // Get query parameters
-    const { showAll } = req.query;
+    const { showAll, branch, page, cursor } = req.query;
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    
+    // Catalogue filters (category, seats, price, features, rating...)
+    const { filter, error: filterError } = buildCarFilter(req.query);
+    const { sort, error: sortError } = parseSort(req.query.sort, { textSearch: Boolean(q) });
+    const { select, error: fieldsError } = parseFields(req.query.fields, Car.schema);
+    const { limit, error: limitError } = parseLimit(req.query.limit);
+    const queryError = filterError || sortError || fieldsError || limitError;
+    if (queryError) {
+      return res.status(400).json({
+        status: 'error',
+        message: queryError
+      });
+    }
     
     // Build query - Only show cars with stock > 0 unless showAll=true
-    let query = {};
+    let query = { ...filter };
+    
+    // Full-text search, ranked by the weighted text index
+    if (q) {
+      query.$text = { $search: q };
+    }
     
     if (showAll !== 'true') {
       query = { 
+        ...query,
         stock: { $gt: 0 },
-        availability: true
+        availability: true,
+        // Hide cars taken off the road by a severe damage report or in maintenance
+        _id: {
+          $nin: [
+            ...await DamageReport.findBlockedCarIds(),
+            ...await MaintenanceWindow.findBlockedCarIds()
+          ]
+        }
       };
     }
     
-    const cars = await Car.find(query);
-    console.log(`Found ${cars.length} cars`);
+    // Cars based at a branch
+    if (branch) {
+      query.homeBranch = branch;
+    }
+    
+    // Archived cars only show up in the admin archive, see getArchivedCars
+    query.archivedAt = null;
+    
+    // Without page, limit or cursor the whole list is returned, as older clients expect
+    const paginate = page !== undefined || req.query.limit !== undefined || cursor !== undefined;
+    
+    const byRelevance = sort[0][0] === 'score';
+    if (cursor && byRelevance) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Cursor pagination is not available when sorting by relevance, use page instead'
+      });
+    }
+    
+    let pageQuery = query;
+    if (cursor) {
+      const { filter: afterCursor, error: cursorError } = cursorFilter(cursor, sort);
+      if (cursorError) {
+        return res.status(400).json({
+          status: 'error',
+          message: cursorError
+        });
+      }
+      pageQuery = { $and: [query, afterCursor] };
+    }
+    
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    
+    // Sort fields are always selected so the next cursor can be built
+    const sortFields = sort.map(([field]) => field).filter(field => field !== 'score');
+    let carsQuery = Car.find(pageQuery)
+      .sort(sort)
+      .select(select && `${select} ${sortFields.join(' ')}`);
+    if (q) {
+      carsQuery = carsQuery.select({ score: { $meta: 'textScore' } });
+    }
+    if (paginate) {
+      carsQuery = carsQuery.skip(cursor ? 0 : (pageNumber - 1) * limit).limit(limit);
+    }
+    
+    const [cars, total] = await Promise.all([
+      carsQuery,
+      Car.countDocuments(query)
+    ]);
+    console.log(`Found ${cars.length} of ${total} cars`);
+    
+    const data = { cars };
+    if (paginate) {
+      data.pagination = {
+        total,
+        page: cursor ? undefined : pageNumber,
+        limit,
+        pages: Math.ceil(total / limit),
+        // Pass back as cursor to get the next page, null on the last page
+        nextCursor: cars.length === limit && !byRelevance ? encodeCursor(cars[cars.length - 1], sort) : null
+      };
+    }
     
     res.status(200).json({
       status: 'success',
       results: cars.length,
-      data: {
-        cars
-      }
+      total,
+      data
     });
   } catch (error) {
     console.error('Error getting all cars:', error);
@@ -206,6 +321,251 @@ exports.getCar = async (req, res) => {
   }
 };
 
+// Get the availability calendar of a car
+exports.getCarAvailability = async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid car ID format'
+      });
+    }
+
+    // Default to the next 30 days when no window is given
+    const from = req.query.from || new Date();
+    const to = req.query.to || new Date(new Date(from).getTime() + 30 * 24 * 60 * 60 * 1000);
+    // Availability can be requested for at most one year at a time
+    const { start, end, error } = parseDateRange(from, to, { maxDays: 366 });
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error
+      });
+    }
+
+    const car = await Car.findById(id);
+    if (!car) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Car not found'
+      });
+    }
+
+    const days = await buildAvailabilityCalendar(car, start, end);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        carId: car._id,
+        units: car.stock,
+        from: start,
+        to: end,
+        days
+      }
+    });
+  } catch (error) {
+    console.error('Error getting car availability:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Suggestions are built from the distinct brand, model and name combinations of
+// bookable cars, reloaded at most once a minute instead of on every keystroke
+const SUGGESTION_CANDIDATES_TTL_MS = 60 * 1000;
+let suggestionCandidates = { loadedAt: 0, cars: [] };
+
+const getSuggestionCandidates = async () => {
+  if (Date.now() - suggestionCandidates.loadedAt > SUGGESTION_CANDIDATES_TTL_MS) {
+    // Suggest only what a customer can find in the listing
+    const groups = await Car.aggregate([
+      { $match: { stock: { $gt: 0 }, availability: true, archivedAt: null } },
+      { $group: { _id: { brand: '$brand', model: '$model', name: '$name' }, count: { $sum: 1 } } }
+    ]);
+    suggestionCandidates = {
+      loadedAt: Date.now(),
+      cars: groups.map(({ _id, count }) => ({ ..._id, count }))
+    };
+  }
+  return suggestionCandidates.cars;
+};
+
+// Get autocomplete suggestions for the search bar
+exports.getCarSuggestions = async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_SUGGESTIONS, MAX_SUGGESTIONS);
+
+    if (!q) {
+      return res.status(200).json({
+        status: 'success',
+        results: 0,
+        data: {
+          suggestions: []
+        }
+      });
+    }
+
+    if (q.length > MAX_SUGGESTION_QUERY_LENGTH) {
+      return res.status(400).json({
+        status: 'error',
+        message: `q can be at most ${MAX_SUGGESTION_QUERY_LENGTH} characters long`
+      });
+    }
+
+    const suggestions = suggestCars(await getSuggestionCandidates(), q, limit);
+
+    res.status(200).json({
+      status: 'success',
+      results: suggestions.length,
+      data: {
+        suggestions
+      }
+    });
+  } catch (error) {
+    console.error('Error getting car suggestions:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Default and largest search radius for nearby cars
+const NEARBY_DEFAULT_RADIUS_KM = 25;
+const NEARBY_MAX_RADIUS_KM = 500;
+// Largest number of cars returned, closest first
+const NEARBY_MAX_RESULTS = 50;
+
+// Get available cars at branches near a point, closest first
+exports.getNearbyCars = async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const radiusKm = req.query.radiusKm ? parseFloat(req.query.radiusKm) : NEARBY_DEFAULT_RADIUS_KM;
+    const limit = Math.min(parseInt(req.query.limit) || NEARBY_MAX_RESULTS, NEARBY_MAX_RESULTS);
+
+    if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide a valid lat and lng'
+      });
+    }
+
+    if (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > NEARBY_MAX_RADIUS_KM) {
+      return res.status(400).json({
+        status: 'error',
+        message: `radiusKm must be between 0 and ${NEARBY_MAX_RADIUS_KM}`
+      });
+    }
+
+    // Without a rental window only cars that can be rented at all are listed
+    let window = null;
+    if (req.query.from || req.query.to) {
+      window = parseDateRange(req.query.from, req.query.to);
+      if (window.error) {
+        return res.status(400).json({
+          status: 'error',
+          message: window.error
+        });
+      }
+    }
+
+    // Branches within the radius, closest first (uses the 2dsphere index)
+    const branches = await Branch.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [lng, lat] },
+          distanceField: 'distance',
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query: { isActive: true }
+        }
+      },
+      { $project: { name: 1, address: 1, location: 1, distance: 1 } }
+    ]);
+    const branchIds = branches.map(branch => branch._id);
+
+    // Cars parked at one of those branches themselves or through one of their units
+    const carIdsWithUnitsNearby = await Vehicle.distinct('carId', {
+      currentBranch: { $in: branchIds },
+      status: { $nin: Vehicle.OUT_OF_SERVICE_STATUSES }
+    });
+
+    const cars = await Car.find({
+      stock: { $gt: 0 },
+      availability: true,
+      archivedAt: null,
+      _id: {
+        $nin: [
+          ...await DamageReport.findBlockedCarIds(),
+          ...await MaintenanceWindow.findBlockedCarIds()
+        ]
+      },
+      $or: [
+        { _id: { $in: carIdsWithUnitsNearby } },
+        { currentBranch: { $in: branchIds } },
+        { currentBranch: null, homeBranch: { $in: branchIds } }
+      ]
+    });
+
+    // Without a window, look at where the units are parked right now
+    const start = window ? window.start : new Date();
+    const end = window ? window.end : new Date(start.getTime() + 1);
+
+    // Each car is listed once, at the closest branch it can be picked up from
+    // (branches are sorted by distance); units at every branch come from three queries
+    const unitsByCar = await getUnitsAtBranches(cars, branchIds, start, end);
+    const candidates = cars
+      .map(car => {
+        const unitsByBranch = unitsByCar.get(car._id.toString());
+        const branch = branches.find(nearby => unitsByBranch.get(nearby._id.toString()) > 0);
+        return branch && { car, branch };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.branch.distance - b.branch.distance);
+
+    // Free units for the window depend on the car only, so each car is checked once
+    const results = [];
+    for (const { car, branch } of candidates) {
+      if (results.length >= limit) {
+        break;
+      }
+      if (window && await getAvailableUnits(car, start, end) === 0) {
+        continue;
+      }
+
+      results.push({
+        ...car.toObject(),
+        branch: {
+          _id: branch._id,
+          name: branch.name,
+          address: branch.address,
+          location: branch.location
+        },
+        distanceKm: Math.round(branch.distance / 10) / 100
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      results: results.length,
+      data: {
+        cars: results
+      }
+    });
+  } catch (error) {
+    console.error('Error getting nearby cars:', error);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
 // Update a car
 exports.updateCar = async (req, res) => {
   try {
@@ -251,47 +611,66 @@ exports.updateCar = async (req, res) => {
       const carName = req.body.name || `${req.body.brand || req.body.make} ${req.body.model} ${req.body.year}`;
       console.log('Updating car with name:', carName);
       
-      // Step 2: Use existing car directory or create a new one if needed
-      const { path: carDirPath, dirName: carDirName } = createCarDirectory(
+      // Step 2: Use the existing car directory or derive a new one if needed
+      const carDirName = getCarDirName(
         carName, 
         existingCar.carDirName // Pass existing directory name if available
       );
       console.log('Using car directory:', carDirName);
       
-      // Step 3: Move files from temp directory to car directory
-      const newPhotos = [];
-      if (req.files && req.files.length > 0) {
-        for (const file of req.files) {
-          const newFileName = 'photo-' + Date.now() + '-' + Math.round(Math.random() * 1E9) + path.extname(file.originalname);
-          const newFilePath = path.join(carDirPath, newFileName);
-          
-          // Move the file
-          fs.renameSync(file.path, newFilePath);
-          
-          // Store relative path
-          const relativePath = path.join(carDirName, newFileName).replace(/\\/g, '/');
-          newPhotos.push(relativePath);
-        }
+      // Step 3: Check the uploads and store their WebP variants in the car directory
+      let newPhotos, photoError;
+      try {
+        ({ photos: newPhotos, error: photoError } = await processPhotos(req.files, carDirName));
+      } catch (error) {
+        console.error('Error storing car photos:', error);
+        return res.status(500).json({
+          status: 'error',
+          message: 'The photos could not be stored, please try again'
+        });
+      }
+      if (photoError) {
+        return res.status(400).json({
+          status: 'error',
+          message: photoError
+        });
       }
       
       // Combine existing photos with new ones if not replacing
-      const photos = req.body.replacePhotos ? newPhotos : [...existingCar.photos, ...newPhotos];
+      // (multipart fields arrive as strings, so 'false' must not count)
+      const replacePhotos = req.body.replacePhotos === true || req.body.replacePhotos === 'true';
+      const photos = Car.ensurePrimaryPhoto(replacePhotos ? newPhotos : [...existingCar.photos, ...newPhotos]);
 
       console.log('Request body for update:', req.body);
       
       // Step 4: Update the car record
-      const updatedCar = await Car.findByIdAndUpdate(
-        id,
-        {
-          ...req.body,
-          photos,
-          carDirName // Always use the directory name we determined
-        },
-        {
-          new: true,
-          runValidators: true
-        }
-      );
+      let updatedCar;
+      try {
+        updatedCar = await Car.findByIdAndUpdate(
+          id,
+          {
+            ...req.body,
+            photos,
+            carDirName // Always use the directory name we determined
+          },
+          {
+            new: true,
+            runValidators: true
+          }
+        );
+      } catch (error) {
+        await deletePhotoFiles(newPhotos);
+        console.error('Error updating car:', error.message);
+        return res.status(400).json({
+          status: 'error',
+          message: error.message
+        });
+      }
+
+      // The replaced photos are no longer referenced
+      if (replacePhotos) {
+        await deletePhotoFiles(existingCar.photos);
+      }
 
       console.log('Car updated successfully:', updatedCar.name);
       res.status(200).json({
@@ -310,64 +689,328 @@ exports.updateCar = async (req, res) => {
   }
 };
 
-// Delete a car
-exports.deleteCar = async (req, res) => {
+// Load the car of a :id route, sending the error response when it fails
+const findCarById = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({
+      status: 'error',
+      message: 'Invalid car ID format'
+    });
+    return null;
+  }
+
+  const car = await Car.findById(req.params.id);
+  if (!car) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Car not found'
+    });
+    return null;
+  }
+
+  return car;
+};
+
+// Archive a car: hidden from listings and closed for booking, kept for booking history
+exports.archiveCar = async (req, res) => {
   try {
-    // Validate ObjectId format first
-    const id = req.params.id;
-    console.log('Deleting car with ID:', id);
-    
-    if (!mongoose.isValidObjectId(id)) {
-      console.error('Invalid ObjectId format:', id);
-      return res.status(400).json({
+    const car = await findCarById(req, res);
+    if (!car) {
+      return;
+    }
+
+    if (car.archivedAt) {
+      return res.status(409).json({
         status: 'error',
-        message: 'Invalid car ID format'
+        message: 'Car is already archived'
       });
     }
-    
-    const car = await Car.findById(id);
-    if (!car) {
-      console.error('Car not found with ID:', id);
-      return res.status(404).json({
+
+    // Customers holding a reservation keep their car
+    const upcomingBookings = await Booking.countDocuments({
+      vehicleId: car._id,
+      status: { $in: BLOCKING_STATUSES },
+      endDate: { $gt: new Date() }
+    });
+    if (upcomingBookings > 0) {
+      return res.status(409).json({
         status: 'error',
-        message: 'Car not found'
+        message: `The car has ${upcomingBookings} upcoming or ongoing booking(s), cancel or complete them before archiving`
       });
     }
 
-    // Delete photos from storage
-    car.photos.forEach(photo => {
-      const fullPath = path.join(process.env.UPLOAD_PATH || 'uploads', photo);
-      if (fs.existsSync(fullPath)) {
-        fs.unlinkSync(fullPath);
+    car.archivedAt = new Date();
+    car.archivedBy = req.user.id;
+    await car.save();
+
+    console.log('Car archived successfully:', car.name);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        car
       }
     });
-    
-    // Delete the car directory if it exists
-    if (car.carDirName) {
-      const carDirPath = path.join(process.env.UPLOAD_PATH || 'uploads', car.carDirName);
-      if (fs.existsSync(carDirPath)) {
-        try {
-          // Check if directory is empty first
-          const files = fs.readdirSync(carDirPath);
-          if (files.length === 0) {
-            fs.rmdirSync(carDirPath);
-          }
-        } catch (err) {
-          console.error('Error deleting car directory:', err);
-        }
+  } catch (error) {
+    console.error('Error archiving car:', error.message);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Get archived cars
+exports.getArchivedCars = async (req, res) => {
+  try {
+    const cars = await Car.find({ archivedAt: { $ne: null } }).sort('-archivedAt');
+
+    res.status(200).json({
+      status: 'success',
+      results: cars.length,
+      data: {
+        cars
       }
+    });
+  } catch (error) {
+    console.error('Error getting archived cars:', error.message);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Bring an archived car back into the catalogue
+exports.restoreCar = async (req, res) => {
+  try {
+    const car = await findCarById(req, res);
+    if (!car) {
+      return;
     }
 
-    // Use deleteOne instead of deprecated remove()
-    await Car.deleteOne({ _id: id });
-    
-    console.log('Car deleted successfully:', car.name);
+    if (!car.archivedAt) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Car is not archived'
+      });
+    }
+
+    car.archivedAt = null;
+    car.archivedBy = undefined;
+    await car.save();
+
+    console.log('Car restored successfully:', car.name);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        car
+      }
+    });
+  } catch (error) {
+    console.error('Error restoring car:', error.message);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Permanently delete an archived car and its photos
+// Its bookings keep a snapshot of the car, and units that were rented out are
+// kept as retired so their plates can still be looked up
+exports.purgeCar = async (req, res) => {
+  try {
+    const car = await findCarById(req, res);
+    if (!car) {
+      return;
+    }
+
+    if (!car.archivedAt) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Only archived cars can be purged, archive the car first'
+      });
+    }
+
+    const snapshot = {
+      name: car.name,
+      brand: car.brand,
+      model: car.model,
+      year: car.year,
+      category: car.category,
+      type: car.type,
+      transmission: car.transmission,
+      fuelType: car.fuelType,
+      snapshotAt: new Date()
+    };
+
+    const units = await Vehicle.find({ carId: car._id });
+    const rentedUnitIds = await Booking.distinct('unitId', { vehicleId: car._id, unitId: { $ne: null } });
+    const isRented = unit => rentedUnitIds.some(unitId => unitId.equals(unit._id));
+
+    await mongoose.connection.transaction(async (session) => {
+      await Booking.updateMany(
+        { vehicleId: car._id },
+        { vehicleSnapshot: snapshot },
+        { session }
+      );
+      for (const unit of units.filter(isRented)) {
+        await Booking.updateMany(
+          { vehicleId: car._id, unitId: unit._id },
+          { 'vehicleSnapshot.licensePlate': unit.licensePlate },
+          { session }
+        );
+      }
+
+      await Vehicle.updateMany(
+        { _id: { $in: units.filter(isRented).map(unit => unit._id) } },
+        { status: 'retired', updatedAt: Date.now() },
+        { session }
+      );
+      await Vehicle.deleteMany(
+        { _id: { $in: units.filter(unit => !isRented(unit)).map(unit => unit._id) } },
+        { session }
+      );
+      await BookingHold.deleteMany({ vehicleId: car._id }, { session });
+      await Car.deleteOne({ _id: car._id }, { session });
+    });
+
+    // Delete photos from storage (local storage also drops the emptied car directory)
+    await deletePhotoFiles(car.photos);
+
+    console.log('Car purged successfully:', car.name);
     res.status(204).json({
       status: 'success',
       data: null
     });
   } catch (error) {
-    console.error('Error deleting car:', error.message);
+    console.error('Error purging car:', error.message);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Reorder the photos of a car
+exports.reorderPhotos = async (req, res) => {
+  try {
+    const car = await findCarById(req, res);
+    if (!car) {
+      return;
+    }
+
+    // The new order must list every photo exactly once
+    const order = Array.isArray(req.body.order) ? req.body.order.map(String) : null;
+    const photoIds = car.photos.map(photo => photo._id.toString());
+    if (
+      !order ||
+      order.length !== photoIds.length ||
+      new Set(order).size !== order.length ||
+      !order.every(photoId => photoIds.includes(photoId))
+    ) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'order must list the ID of every photo of the car exactly once'
+      });
+    }
+
+    car.photos = order.map(photoId => car.photos.id(photoId));
+    await car.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        photos: car.photos
+      }
+    });
+  } catch (error) {
+    console.error('Error reordering car photos:', error.message);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Update the caption, alt text or cover flag of a photo
+exports.updatePhoto = async (req, res) => {
+  try {
+    const car = await findCarById(req, res);
+    if (!car) {
+      return;
+    }
+
+    const photo = mongoose.isValidObjectId(req.params.photoId) && car.photos.id(req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Photo not found'
+      });
+    }
+
+    const { caption, altText, isPrimary } = req.body;
+    if (caption !== undefined) {
+      photo.caption = caption;
+    }
+    if (altText !== undefined) {
+      photo.altText = altText;
+    }
+    // A car always has a cover photo, so it can only be moved to another one
+    if (isPrimary === true) {
+      car.photos.forEach(other => {
+        other.isPrimary = other._id.equals(photo._id);
+      });
+    }
+
+    await car.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        photo
+      }
+    });
+  } catch (error) {
+    console.error('Error updating car photo:', error.message);
+    res.status(400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
+// Delete a single photo and its files
+exports.deletePhoto = async (req, res) => {
+  try {
+    const car = await findCarById(req, res);
+    if (!car) {
+      return;
+    }
+
+    const photo = mongoose.isValidObjectId(req.params.photoId) && car.photos.id(req.params.photoId);
+    if (!photo) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Photo not found'
+      });
+    }
+
+    // When the cover photo goes, the first remaining photo takes its place
+    car.photos.pull(photo._id);
+    await car.save();
+
+    // Files are removed only once the car no longer references them
+    await deletePhotoFiles([photo]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        photos: car.photos
+      }
+    });
+  } catch (error) {
+    console.error('Error deleting car photo:', error.message);
     res.status(400).json({
       status: 'error',
       message: error.message
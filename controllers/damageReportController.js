@@ -0,0 +1,370 @@
+const DamageReport = require('../models/DamageReport');
+const Booking = require('../models/Booking');
+const Car = require('../models/Car');
+const Vehicle = require('../models/Vehicle');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { tempUpload } = require('./carController');
+const storage = require('../utils/storage');
+const { roundAmount } = require('../utils/pricing');
+const { updateSettlement } = require('../utils/settlement');
+const { syncCarStock } = require('../utils/fleet');
+
+// Damage photos live next to the car photos, under damage/ in storage
+const DAMAGE_DIR_NAME = 'damage';
+
+// Remove uploaded photos when the report is not created
+const removeUploadedFiles = (files) => {
+  (files || []).forEach(file => {
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  });
+};
+
+// Whether the current user may see a report
+const canAccessReport = async (report, user) => {
+  if (user.role === 'admin') {
+    return true;
+  }
+  if (!report.bookingId) {
+    return false;
+  }
+  const booking = await Booking.findById(report.bookingId).select('userId');
+  return Boolean(booking) && booking.userId.toString() === user.id.toString();
+};
+
+// Severe damage takes a unit out of service until every severe report on it is closed
+const syncUnitDamageStatus = async (unitId) => {
+  const unit = unitId && await Vehicle.findById(unitId);
+  if (!unit || unit.status === 'retired') {
+    return;
+  }
+
+  const damaged = await DamageReport.exists({
+    unitId,
+    severity: 'severe',
+    status: { $in: DamageReport.UNRESOLVED_STATUSES }
+  });
+
+  if (damaged && unit.status !== 'damaged') {
+    unit.status = 'damaged';
+  } else if (!damaged && unit.status === 'damaged') {
+    unit.status = 'available';
+  } else {
+    return;
+  }
+
+  await unit.save();
+  await syncCarStock(unit.carId);
+};
+
+// Handle damage photo uploads, reusing the car photo pipeline
+exports.uploadDamagePhotos = (req, res, next) => {
+  tempUpload(req, res, function(err) {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message
+      });
+    }
+    next();
+  });
+};
+
+// @desc    Report damage or an incident on a car
+// @route   POST /api/damage-reports
+// @access  Private
+exports.createDamageReport = asyncHandler(async (req, res) => {
+  const fail = (statusCode, message) => {
+    removeUploadedFiles(req.files);
+    return res.status(statusCode).json({
+      success: false,
+      message
+    });
+  };
+
+  const { bookingId, description, severity, estimatedCost } = req.body;
+  const isAdmin = req.user.role === 'admin';
+  let carId = req.body.carId;
+  let unitId = isAdmin ? req.body.unitId : undefined;
+
+  // Customers report against one of their bookings, admins may also report on a car directly
+  if (bookingId) {
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      return fail(400, 'Invalid booking ID format');
+    }
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return fail(404, 'Booking not found');
+    }
+    if (!isAdmin && booking.userId.toString() !== req.user.id.toString()) {
+      return fail(403, 'You can only report damage for your own bookings');
+    }
+    carId = booking.vehicleId;
+    unitId = unitId || booking.unitId;
+  } else if (!isAdmin) {
+    return fail(400, 'Please provide the booking the damage occurred in');
+  }
+
+  if (unitId) {
+    const unit = mongoose.Types.ObjectId.isValid(unitId) && await Vehicle.findById(unitId);
+    if (!unit) {
+      return fail(404, 'Vehicle not found');
+    }
+    if (carId && unit.carId.toString() !== carId.toString()) {
+      return fail(400, 'The vehicle does not belong to the booked car');
+    }
+    carId = unit.carId;
+  }
+
+  if (!carId || !mongoose.Types.ObjectId.isValid(carId)) {
+    return fail(400, 'Please provide a valid car ID');
+  }
+  if (!await Car.exists({ _id: carId })) {
+    return fail(404, 'Car not found');
+  }
+
+  let report;
+  try {
+    report = new DamageReport({
+      bookingId,
+      carId,
+      unitId,
+      reportedBy: req.user.id,
+      description,
+      // Customers only suggest a severity, it counts once an admin confirms it in the assessment
+      severity: isAdmin ? severity : undefined,
+      reportedSeverity: severity,
+      // Customers may suggest a cost, admins set it when assessing
+      estimatedCost: isAdmin ? estimatedCost : undefined
+    });
+    await report.validate();
+  } catch (error) {
+    removeUploadedFiles(req.files);
+    throw error;
+  }
+
+  report.photos = await storage.saveUploadedFiles(req.files, DAMAGE_DIR_NAME);
+  try {
+    await report.save();
+  } catch (error) {
+    await storage.removeFiles(report.photos);
+    throw error;
+  }
+  await syncUnitDamageStatus(report.unitId);
+
+  res.status(201).json({
+    success: true,
+    data: report
+  });
+});
+
+// @desc    Get damage reports (admins see all, customers their own bookings')
+// @route   GET /api/damage-reports
+// @access  Private
+exports.getDamageReports = asyncHandler(async (req, res) => {
+  const filter = {};
+
+  ['carId', 'unitId', 'bookingId', 'status', 'severity'].forEach(field => {
+    if (req.query[field]) {
+      filter[field] = req.query[field];
+    }
+  });
+
+  if (req.user.role !== 'admin') {
+    const bookingIds = await Booking.find({ userId: req.user.id }).distinct('_id');
+    filter.bookingId = filter.bookingId
+      ? { $in: bookingIds.filter(id => id.toString() === filter.bookingId) }
+      : { $in: bookingIds };
+  }
+
+  const reports = await DamageReport.find(filter)
+    .populate('carId', 'name brand model')
+    .populate('unitId', 'vin licensePlate')
+    .populate('reportedBy', 'name email')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: reports.length,
+    data: reports
+  });
+});
+
+// @desc    Get single damage report
+// @route   GET /api/damage-reports/:id
+// @access  Private
+exports.getDamageReport = asyncHandler(async (req, res) => {
+  const report = await DamageReport.findById(req.params.id)
+    .populate('carId', 'name brand model')
+    .populate('unitId', 'vin licensePlate')
+    .populate('reportedBy', 'name email');
+
+  if (!report || !await canAccessReport(report, req.user)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Damage report not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: report
+  });
+});
+
+// @desc    Assess a damage report: confirm severity and estimate the repair cost
+// @route   PATCH /api/damage-reports/:id/assess
+// @access  Private/Admin
+exports.assessDamageReport = asyncHandler(async (req, res) => {
+  const report = await DamageReport.findById(req.params.id);
+
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: 'Damage report not found'
+    });
+  }
+
+  if (!['open', 'assessed'].includes(report.status)) {
+    return res.status(409).json({
+      success: false,
+      message: `A ${report.status} damage report can no longer be assessed`
+    });
+  }
+
+  const { severity, estimatedCost, assessmentNotes } = req.body;
+  if (severity !== undefined) report.severity = severity;
+  if (estimatedCost !== undefined) report.estimatedCost = estimatedCost;
+  if (assessmentNotes !== undefined) report.assessmentNotes = assessmentNotes;
+
+  report.status = 'assessed';
+  report.assessedBy = req.user.id;
+  report.assessedAt = new Date();
+  await report.save();
+  await syncUnitDamageStatus(report.unitId);
+
+  res.status(200).json({
+    success: true,
+    data: report
+  });
+});
+
+// @desc    Bill the damage to the renter as an extra charge on the booking
+// @route   POST /api/damage-reports/:id/charge
+// @access  Private/Admin
+exports.chargeDamageReport = asyncHandler(async (req, res) => {
+  const report = await DamageReport.findById(req.params.id);
+
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: 'Damage report not found'
+    });
+  }
+
+  if (report.status !== 'assessed') {
+    return res.status(409).json({
+      success: false,
+      message: 'Only assessed damage reports can be charged'
+    });
+  }
+
+  if (!report.bookingId) {
+    return res.status(400).json({
+      success: false,
+      message: 'This damage report is not linked to a booking, there is no renter to charge'
+    });
+  }
+
+  const amount = roundAmount(Number(req.body.amount !== undefined ? req.body.amount : report.estimatedCost));
+  if (isNaN(amount) || amount <= 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a positive amount or assess an estimated cost first'
+    });
+  }
+
+  const booking = await Booking.findById(report.bookingId);
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+  }
+
+  booking.extraCharges.push({
+    type: 'damage',
+    label: `Damage (report ${report._id})`,
+    quantity: 1,
+    unitPrice: amount,
+    amount
+  });
+  updateSettlement(booking);
+  booking.updatedAt = new Date();
+
+  report.status = 'charged';
+  report.chargedAmount = amount;
+  report.chargedAt = new Date();
+  // Only charge once, even when two requests race
+  report.$where = { status: 'assessed' };
+
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      await report.save({ session });
+      await booking.save({ session });
+    });
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      return res.status(409).json({
+        success: false,
+        message: 'The damage report was already charged by another request'
+      });
+    }
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      report,
+      settlement: booking.settlement
+    }
+  });
+});
+
+// @desc    Close a damage report once the car is repaired
+// @route   PATCH /api/damage-reports/:id/close
+// @access  Private/Admin
+exports.closeDamageReport = asyncHandler(async (req, res) => {
+  const report = await DamageReport.findById(req.params.id);
+
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: 'Damage report not found'
+    });
+  }
+
+  if (report.status === 'closed') {
+    return res.status(409).json({
+      success: false,
+      message: 'Damage report is already closed'
+    });
+  }
+
+  report.status = 'closed';
+  report.closedAt = new Date();
+  if (req.body.assessmentNotes !== undefined) {
+    report.assessmentNotes = req.body.assessmentNotes;
+  }
+  await report.save();
+  await syncUnitDamageStatus(report.unitId);
+
+  res.status(200).json({
+    success: true,
+    data: report
+  });
+});
@@ -0,0 +1,102 @@
+const Booking = require('../models/Booking');
+const Inspection = require('../models/Inspection');
+const DamageReport = require('../models/DamageReport');
+const storage = require('../utils/storage');
+const { asyncHandler } = require('../middleware/asyncHandler');
+
+// How long browsers may cache a served file
+const FILE_MAX_AGE = '7d';
+
+// Photos tied to a customer's booking are served only to the renter and admins,
+// uploads still being processed are never served
+const { PRIVATE_DIR_NAMES, HIDDEN_DIR_NAMES } = storage;
+
+// Storage key of the requested file, null when it is not a valid key
+const parseKey = (req) => {
+  let key;
+  try {
+    key = decodeURIComponent(req.params[0] || '');
+  } catch (error) {
+    return null;
+  }
+  return key && !key.split('/').includes('..') ? key : null;
+};
+
+const topDir = (key) => key.split('/')[0];
+
+const notFound = (res) => res.status(404).json({
+  status: 'error',
+  message: 'File not found'
+});
+
+/**
+ * Send a stored file: streamed from local disk, or a redirect for remote storage
+ * @param {Boolean} signed - Always redirect to a signed URL, even when the bucket has a public URL
+ */
+const sendStoredFile = async (res, key, { signed = false } = {}) => {
+  if (storage.STORAGE_DRIVER === 'local') {
+    return res.sendFile(storage.driver.resolveKey(key), {
+      maxAge: signed ? 0 : FILE_MAX_AGE,
+      headers: signed ? { 'Cache-Control': 'private, no-store' } : undefined
+    }, (err) => {
+      if (err && !res.headersSent) {
+        const missing = err.statusCode === 404 || err.code === 'ENOENT';
+        res.status(missing ? 404 : 500).json({
+          status: 'error',
+          message: missing ? 'File not found' : 'Error reading file'
+        });
+      }
+    });
+  }
+
+  // Remote storage: send the client to the public or a short-lived signed URL
+  const publicUrl = storage.fileUrl(key);
+  const url = signed || publicUrl.startsWith('/uploads/') ? await storage.getDownloadUrl(key) : publicUrl;
+  res.set('Cache-Control', 'private, max-age=300');
+  res.redirect(302, url);
+};
+
+// Whether a user may see a booking photo: admins, or the renter of the booking
+const canAccessPhoto = async (key, user) => {
+  if (user.role === 'admin') {
+    return true;
+  }
+
+  const Model = topDir(key) === 'inspections' ? Inspection : DamageReport;
+  const owner = await Model.findOne({ photos: key }).select('bookingId');
+  if (!owner || !owner.bookingId) {
+    return false;
+  }
+
+  const booking = await Booking.findById(owner.bookingId).select('userId');
+  return Boolean(booking) && booking.userId.toString() === user.id.toString();
+};
+
+// @desc    Serve a car or profile photo from the configured storage
+// @route   GET /uploads/*
+// @access  Public
+exports.serveFile = asyncHandler(async (req, res) => {
+  const key = parseKey(req);
+  if (!key || HIDDEN_DIR_NAMES.includes(topDir(key)) || PRIVATE_DIR_NAMES.includes(topDir(key))) {
+    return notFound(res);
+  }
+
+  await sendStoredFile(res, key);
+});
+
+// @desc    Serve an inspection or damage photo to the renter of its booking
+// @route   GET /uploads/inspections/*, GET /uploads/damage/*
+// @access  Private
+exports.servePrivateFile = asyncHandler(async (req, res) => {
+  const key = parseKey(req);
+  if (!key || !PRIVATE_DIR_NAMES.includes(topDir(key))) {
+    return notFound(res);
+  }
+
+  // Someone else's photo looks the same as a missing one
+  if (!await canAccessPhoto(key, req.user)) {
+    return notFound(res);
+  }
+
+  await sendStoredFile(res, key, { signed: true });
+});
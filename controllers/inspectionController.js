@@ -0,0 +1,320 @@
+const Booking = require('../models/Booking');
+const Car = require('../models/Car');
+const Inspection = require('../models/Inspection');
+const Vehicle = require('../models/Vehicle');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { applyStatusChange } = require('../utils/bookingStatus');
+const { calculateReturnCharges, updateSettlement } = require('../utils/settlement');
+const { assignUnit } = require('../utils/fleet');
+const { remindIfServiceDue } = require('../utils/maintenance');
+const storage = require('../utils/storage');
+
+// Inspection photos are stored under inspections/ once the inspection is valid
+const INSPECTION_DIR_NAME = 'inspections';
+
+// Configure multer to keep inspection photos in the temp directory until then
+const inspectionStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    const uploadPath = process.env.UPLOAD_PATH || 'uploads';
+    const tempPath = path.join(uploadPath, 'temp');
+
+    // Create temp directory if it doesn't exist
+    if (!fs.existsSync(tempPath)) {
+      fs.mkdirSync(tempPath, { recursive: true });
+    }
+
+    cb(null, tempPath);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, `booking_${req.params.id}_${uniqueSuffix}${path.extname(file.originalname)}`);
+  }
+});
+
+const inspectionUpload = multer({
+  storage: inspectionStorage,
+  limits: {
+    fileSize: process.env.MAX_FILE_SIZE
+  },
+  fileFilter: function (req, file, cb) {
+    if (!file.mimetype.startsWith('image/')) {
+      return cb(new Error('Only image files are allowed!'), false);
+    }
+    cb(null, true);
+  }
+}).array('photos', 10); // Allow up to 10 photos
+
+// Remove uploaded photos when the inspection is not recorded
+const removeUploadedFiles = (files) => {
+  (files || []).forEach(file => {
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  });
+};
+
+// Parse an optional numeric form field, undefined when missing
+const parseReading = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+// Handle inspection photo uploads
+exports.uploadInspectionPhotos = (req, res, next) => {
+  inspectionUpload(req, res, function(err) {
+    if (err) {
+      return res.status(400).json({
+        status: 'error',
+        message: err.message
+      });
+    }
+    next();
+  });
+};
+
+/**
+ * Record the odometer reading on the unit and mark it rented out or back on the lot
+ * @throws {Error} - UnitTakenError when another checkout took the unit in the meantime
+ */
+const updateUnitAfterInspection = async (unit, type, odometer, session) => {
+  if (type === 'checkout') {
+    const result = await Vehicle.updateOne(
+      { _id: unit._id, status: 'available' },
+      { status: 'rented', $max: { mileage: odometer }, updatedAt: Date.now() },
+      { session }
+    );
+    if (result.matchedCount === 0) {
+      const error = new Error('The vehicle was checked out for another booking');
+      error.name = 'UnitTakenError';
+      throw error;
+    }
+    return;
+  }
+
+  await Vehicle.updateOne({ _id: unit._id }, { $max: { mileage: odometer }, updatedAt: Date.now() }, { session });
+  // A unit marked damaged or in maintenance during the rental stays out of service
+  await Vehicle.updateOne(
+    { _id: unit._id, status: 'rented' },
+    { status: 'available' },
+    { session }
+  );
+};
+
+/**
+ * Validate and record an inspection, then move the booking to its next status
+ * @param {String} type - 'checkout' or 'checkin'
+ */
+const recordInspection = (type) => asyncHandler(async (req, res) => {
+  const fail = (statusCode, message) => {
+    removeUploadedFiles(req.files);
+    return res.status(statusCode).json({
+      status: 'error',
+      message
+    });
+  };
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return fail(400, 'Invalid booking ID format');
+  }
+
+  const odometer = parseReading(req.body.odometer);
+  const fuelLevel = parseReading(req.body.fuelLevel);
+  const chargeLevel = parseReading(req.body.chargeLevel);
+
+  if (odometer === undefined || isNaN(odometer) || odometer < 0) {
+    return fail(400, 'A valid odometer reading is required');
+  }
+
+  if ([fuelLevel, chargeLevel].some(level => level !== undefined && (isNaN(level) || level < 0 || level > 100))) {
+    return fail(400, 'Fuel and charge levels must be percentages between 0 and 100');
+  }
+
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return fail(404, 'Booking not found');
+  }
+
+  const car = await Car.findById(booking.vehicleId);
+  if (!car) {
+    return fail(404, 'Car not found');
+  }
+
+  // Hand over the unit assigned at confirmation, the one the admin picked or any free one on the lot
+  let unit = null;
+  if (type === 'checkout') {
+    const unitId = req.body.unitId || booking.unitId;
+    if (unitId || await Vehicle.exists({ carId: car._id })) {
+      const assigned = await assignUnit(booking, { unitId, onSite: true, branchId: booking.pickupBranch });
+      if (assigned.error) {
+        return fail(assigned.statusCode, assigned.error);
+      }
+      unit = assigned.unit;
+    }
+  } else if (booking.unitId) {
+    unit = await Vehicle.findById(booking.unitId);
+  }
+
+  let checkout = null;
+  if (type === 'checkin') {
+    checkout = await Inspection.findOne({ bookingId: booking._id, type: 'checkout' });
+    if (!checkout) {
+      return fail(409, 'The car has not been checked out for this booking');
+    }
+    if (odometer < checkout.odometer) {
+      return fail(400, `Odometer reading is lower than at checkout (${checkout.odometer})`);
+    }
+  } else if (unit && odometer < unit.mileage) {
+    // Only a registered unit has an odometer of its own; Car.mileage is the highest
+    // reading across all identical cars of the model and cannot be checked against
+    return fail(400, `Odometer reading is lower than the recorded mileage (${unit.mileage})`);
+  }
+
+  // Checkout means the customer picked the car up, checkin that it came back
+  const { error: statusError } = applyStatusChange(booking, type === 'checkout' ? 'active' : 'completed', {
+    changedBy: req.user.id,
+    note: type === 'checkout' ? 'Car checked out' : 'Car checked in'
+  });
+  if (statusError) {
+    return fail(409, statusError);
+  }
+
+  const now = new Date();
+  if (type === 'checkout') {
+    booking.pickedUpAt = now;
+  } else {
+    booking.returnedAt = now;
+  }
+  booking.updatedAt = now;
+
+  // Work out late return, mileage and refill charges from both inspections
+  if (type === 'checkin') {
+    const returnCharges = calculateReturnCharges(booking, car, checkout, {
+      odometer,
+      fuelLevel,
+      chargeLevel,
+      performedAt: now
+    });
+    booking.extraCharges.push(...returnCharges);
+    updateSettlement(booking);
+  }
+
+  const photos = await storage.saveUploadedFiles(req.files, INSPECTION_DIR_NAME, file =>
+    path.basename(file.filename, path.extname(file.filename))
+  );
+
+  let inspection;
+  try {
+    inspection = await mongoose.connection.transaction(async (session) => {
+      await booking.save({ session });
+
+      const [created] = await Inspection.create([{
+        bookingId: booking._id,
+        carId: car._id,
+        unitId: unit ? unit._id : undefined,
+        type,
+        odometer,
+        fuelLevel,
+        chargeLevel,
+        damageNotes: req.body.damageNotes,
+        photos,
+        performedBy: req.user.id,
+        performedAt: now
+      }], { session });
+
+      // Keep the car's mileage in step with the latest reading
+      await Car.updateOne({ _id: car._id }, { $max: { mileage: odometer } }, { session });
+
+      if (unit) {
+        await updateUnitAfterInspection(unit, type, odometer, session);
+      }
+
+      // The car is now parked at the branch it was returned to
+      if (type === 'checkin' && booking.dropoffBranch) {
+        await (unit ? Vehicle : Car).updateOne(
+          { _id: unit ? unit._id : car._id },
+          { currentBranch: booking.dropoffBranch },
+          { session }
+        );
+      }
+
+      return created;
+    });
+  } catch (error) {
+    await storage.removeFiles(photos);
+    if (error.name === 'UnitTakenError') {
+      return res.status(409).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    if (error.name === 'DocumentNotFoundError' || error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: `The booking was already ${type === 'checkout' ? 'checked out' : 'checked in'} by another request`
+      });
+    }
+    throw error;
+  }
+
+  // Remind the fleet managers when this rental pushed the car past its service interval
+  const serviceDue = type === 'checkin'
+    ? await remindIfServiceDue({ car, unit, previousMileage: checkout.odometer, mileage: odometer })
+    : false;
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      booking,
+      inspection,
+      serviceDue
+    }
+  });
+});
+
+// @desc    Record the pickup inspection and start the rental
+// @route   POST /api/bookings/:id/checkout
+// @access  Private/Admin
+exports.checkOut = recordInspection('checkout');
+
+// @desc    Record the return inspection and complete the rental
+// @route   POST /api/bookings/:id/checkin
+// @access  Private/Admin
+exports.checkIn = recordInspection('checkin');
+
+// @desc    Get the inspections of a booking
+// @route   GET /api/bookings/:id/inspections
+// @access  Private
+exports.getInspections = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Invalid booking ID format'
+    });
+  }
+
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Booking not found'
+    });
+  }
+
+  if (booking.userId.toString() !== req.user.id.toString() && req.user.role !== 'admin') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'You do not have permission to access this booking'
+    });
+  }
+
+  const inspections = await Inspection.find({ bookingId: booking._id }).sort('performedAt');
+
+  res.status(200).json({
+    status: 'success',
+    results: inspections.length,
+    data: {
+      inspections
+    }
+  });
+});
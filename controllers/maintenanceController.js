@@ -0,0 +1,195 @@
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const Car = require('../models/Car');
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/Booking');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { BLOCKING_STATUSES, overlapFilter } = require('../utils/availability');
+const { recordService } = require('../utils/maintenance');
+
+// Check that the car exists and the unit, if any, belongs to it
+const validateTarget = async (carId, unitId) => {
+  if (!carId || !await Car.exists({ _id: carId })) {
+    return { error: 'Car not found', statusCode: 404 };
+  }
+  if (unitId) {
+    const unit = await Vehicle.findById(unitId);
+    if (!unit || unit.carId.toString() !== carId.toString()) {
+      return { error: 'Vehicle not found for this car', statusCode: 404 };
+    }
+  }
+  return {};
+};
+
+// Bookings the window overlaps, so the admin can move or reassign them
+const findConflictingBookings = (window) => {
+  const filter = {
+    vehicleId: window.carId,
+    status: { $in: BLOCKING_STATUSES },
+    ...overlapFilter(window.startDate, window.endDate)
+  };
+  if (window.unitId) {
+    filter.unitId = window.unitId;
+  }
+  return Booking.find(filter).select('startDate endDate status unitId userId');
+};
+
+// @desc    Schedule maintenance for a car or one of its units
+// @route   POST /api/maintenance-windows
+// @access  Private/Admin
+exports.createMaintenanceWindow = asyncHandler(async (req, res) => {
+  const { error, statusCode } = await validateTarget(req.body.carId, req.body.unitId);
+  if (error) {
+    return res.status(statusCode).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const window = await MaintenanceWindow.create({
+    ...req.body,
+    status: 'scheduled',
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: window,
+    conflictingBookings: await findConflictingBookings(window)
+  });
+});
+
+// @desc    Get maintenance windows
+// @route   GET /api/maintenance-windows
+// @access  Private/Admin
+exports.getMaintenanceWindows = asyncHandler(async (req, res) => {
+  const filter = {};
+
+  ['carId', 'unitId', 'type', 'status'].forEach(field => {
+    if (req.query[field]) {
+      filter[field] = req.query[field];
+    }
+  });
+
+  // Windows overlapping a period
+  if (req.query.from && req.query.to) {
+    Object.assign(filter, overlapFilter(new Date(req.query.from), new Date(req.query.to)));
+  }
+
+  const windows = await MaintenanceWindow.find(filter)
+    .populate('carId', 'name brand model')
+    .populate('unitId', 'vin licensePlate')
+    .sort('startDate');
+
+  res.status(200).json({
+    success: true,
+    count: windows.length,
+    data: windows
+  });
+});
+
+// @desc    Get single maintenance window
+// @route   GET /api/maintenance-windows/:id
+// @access  Private/Admin
+exports.getMaintenanceWindow = asyncHandler(async (req, res) => {
+  const window = await MaintenanceWindow.findById(req.params.id)
+    .populate('carId', 'name brand model')
+    .populate('unitId', 'vin licensePlate');
+
+  if (!window) {
+    return res.status(404).json({
+      success: false,
+      message: 'Maintenance window not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: window
+  });
+});
+
+// @desc    Update, start or complete a maintenance window
+// @route   PUT /api/maintenance-windows/:id
+// @access  Private/Admin
+exports.updateMaintenanceWindow = asyncHandler(async (req, res) => {
+  const window = await MaintenanceWindow.findById(req.params.id);
+
+  if (!window) {
+    return res.status(404).json({
+      success: false,
+      message: 'Maintenance window not found'
+    });
+  }
+
+  if (['completed', 'cancelled'].includes(window.status)) {
+    return res.status(409).json({
+      success: false,
+      message: `A ${window.status} maintenance window can no longer be changed`
+    });
+  }
+
+  const { createdBy, completedAt, ...updates } = req.body;
+  const { error, statusCode } = await validateTarget(updates.carId || window.carId, updates.unitId || window.unitId);
+  if (error) {
+    return res.status(statusCode).json({
+      success: false,
+      message: error
+    });
+  }
+
+  window.set(updates);
+
+  const completed = window.status === 'completed';
+  if (completed) {
+    window.completedAt = new Date();
+    // Without a reading the service is recorded at the current mileage
+    if (window.odometer == null) {
+      const target = window.unitId
+        ? await Vehicle.findById(window.unitId)
+        : await Car.findById(window.carId);
+      window.odometer = target.mileage;
+    }
+  }
+
+  await window.save();
+
+  if (completed && window.type === 'service') {
+    await recordService(window, window.odometer);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: window,
+    conflictingBookings: completed ? [] : await findConflictingBookings(window)
+  });
+});
+
+// @desc    Cancel a maintenance window
+// @route   DELETE /api/maintenance-windows/:id
+// @access  Private/Admin
+exports.deleteMaintenanceWindow = asyncHandler(async (req, res) => {
+  const window = await MaintenanceWindow.findById(req.params.id);
+
+  if (!window) {
+    return res.status(404).json({
+      success: false,
+      message: 'Maintenance window not found'
+    });
+  }
+
+  if (window.status === 'completed') {
+    return res.status(409).json({
+      success: false,
+      message: 'A completed maintenance window cannot be cancelled'
+    });
+  }
+
+  // Keep the record as maintenance history
+  window.status = 'cancelled';
+  await window.save();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -0,0 +1,161 @@
+const OneWayFee = require('../models/OneWayFee');
+const Branch = require('../models/Branch');
+const { asyncHandler } = require('../middleware/asyncHandler');
+
+// Both ends of a route must be existing branches
+const branchesExist = async (fromBranch, toBranch) =>
+  (await Branch.countDocuments({ _id: { $in: [fromBranch, toBranch] } })) === 2;
+
+// A branch pair has a single entry in the matrix
+const sendDuplicateRoute = (res) => res.status(409).json({
+  success: false,
+  message: 'A one-way fee already exists for this route'
+});
+
+// @desc    Add a route to the one-way fee matrix
+// @route   POST /api/one-way-fees
+// @access  Private/Admin
+exports.createOneWayFee = asyncHandler(async (req, res) => {
+  if (!await branchesExist(req.body.fromBranch, req.body.toBranch)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Branch not found'
+    });
+  }
+
+  // A deleted route keeps its entry, so adding it again revives that entry with the new values
+  let fee = await OneWayFee.findOne({ fromBranch: req.body.fromBranch, toBranch: req.body.toBranch });
+  if (fee && fee.isActive) {
+    return sendDuplicateRoute(res);
+  }
+
+  try {
+    if (fee) {
+      fee.set({ amount: undefined, bidirectional: false, ...req.body, isActive: true });
+      await fee.save();
+    } else {
+      fee = await OneWayFee.create(req.body);
+    }
+  } catch (error) {
+    // Another request added the same route in the meantime
+    if (error.code === 11000) {
+      return sendDuplicateRoute(res);
+    }
+    throw error;
+  }
+
+  res.status(201).json({
+    success: true,
+    data: fee
+  });
+});
+
+// @desc    Get the one-way fee matrix
+// @route   GET /api/one-way-fees
+// @access  Private/Admin
+exports.getOneWayFees = asyncHandler(async (req, res) => {
+  const filter = {};
+
+  if (req.query.fromBranch) {
+    filter.fromBranch = req.query.fromBranch;
+  }
+  if (req.query.toBranch) {
+    filter.toBranch = req.query.toBranch;
+  }
+
+  // Include disabled routes only when asked for
+  if (req.query.showAll !== 'true') {
+    filter.isActive = true;
+  }
+
+  const fees = await OneWayFee.find(filter)
+    .populate('fromBranch', 'name')
+    .populate('toBranch', 'name');
+
+  res.status(200).json({
+    success: true,
+    count: fees.length,
+    data: fees
+  });
+});
+
+// @desc    Get single one-way fee
+// @route   GET /api/one-way-fees/:id
+// @access  Private/Admin
+exports.getOneWayFee = asyncHandler(async (req, res) => {
+  const fee = await OneWayFee.findById(req.params.id)
+    .populate('fromBranch', 'name')
+    .populate('toBranch', 'name');
+
+  if (!fee) {
+    return res.status(404).json({
+      success: false,
+      message: 'One-way fee not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: fee
+  });
+});
+
+// @desc    Update one-way fee
+// @route   PUT /api/one-way-fees/:id
+// @access  Private/Admin
+exports.updateOneWayFee = asyncHandler(async (req, res) => {
+  const fee = await OneWayFee.findById(req.params.id);
+
+  if (!fee) {
+    return res.status(404).json({
+      success: false,
+      message: 'One-way fee not found'
+    });
+  }
+
+  fee.set(req.body);
+  if (!await branchesExist(fee.fromBranch, fee.toBranch)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Branch not found'
+    });
+  }
+
+  try {
+    await fee.save();
+  } catch (error) {
+    // Moved onto a route that already has an entry
+    if (error.code === 11000) {
+      return sendDuplicateRoute(res);
+    }
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: fee
+  });
+});
+
+// @desc    Delete one-way fee
+// @route   DELETE /api/one-way-fees/:id
+// @access  Private/Admin
+exports.deleteOneWayFee = asyncHandler(async (req, res) => {
+  const fee = await OneWayFee.findById(req.params.id);
+
+  if (!fee) {
+    return res.status(404).json({
+      success: false,
+      message: 'One-way fee not found'
+    });
+  }
+
+  // Soft delete by setting isActive to false
+  fee.isActive = false;
+  await fee.save();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
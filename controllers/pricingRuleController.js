@@ -0,0 +1,103 @@
+const PricingRule = require('../models/PricingRule');
+const { asyncHandler } = require('../middleware/asyncHandler');
+
+// @desc    Create a new pricing rule
+// @route   POST /api/pricing-rules
+// @access  Private/Admin
+exports.createPricingRule = asyncHandler(async (req, res) => {
+  const rule = await PricingRule.create(req.body);
+
+  res.status(201).json({
+    success: true,
+    data: rule
+  });
+});
+
+// @desc    Get all pricing rules
+// @route   GET /api/pricing-rules
+// @access  Private/Admin
+exports.getPricingRules = asyncHandler(async (req, res) => {
+  const filter = {};
+
+  if (req.query.type) {
+    filter.type = req.query.type;
+  }
+
+  // Include disabled rules only when asked for
+  if (req.query.showAll !== 'true') {
+    filter.isActive = true;
+  }
+
+  const rules = await PricingRule.find(filter).sort('type -priority name');
+
+  res.status(200).json({
+    success: true,
+    count: rules.length,
+    data: rules
+  });
+});
+
+// @desc    Get single pricing rule
+// @route   GET /api/pricing-rules/:id
+// @access  Private/Admin
+exports.getPricingRule = asyncHandler(async (req, res) => {
+  const rule = await PricingRule.findById(req.params.id);
+
+  if (!rule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pricing rule not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: rule
+  });
+});
+
+// @desc    Update pricing rule
+// @route   PUT /api/pricing-rules/:id
+// @access  Private/Admin
+exports.updatePricingRule = asyncHandler(async (req, res) => {
+  const rule = await PricingRule.findById(req.params.id);
+
+  if (!rule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pricing rule not found'
+    });
+  }
+
+  // Save through the document so the per-type validation runs
+  rule.set(req.body);
+  await rule.save();
+
+  res.status(200).json({
+    success: true,
+    data: rule
+  });
+});
+
+// @desc    Delete pricing rule
+// @route   DELETE /api/pricing-rules/:id
+// @access  Private/Admin
+exports.deletePricingRule = asyncHandler(async (req, res) => {
+  const rule = await PricingRule.findById(req.params.id);
+
+  if (!rule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Pricing rule not found'
+    });
+  }
+
+  // Soft delete by setting isActive to false
+  rule.isActive = false;
+  await rule.save();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -1,32 +1,16 @@
 const User = require('../models/User');
 const { createActivity } = require('./userActivityController');
-const fs = require('fs');
 const path = require('path');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const multer = require('multer');
+const storage = require('../utils/storage');
 
-// Set up storage for multer
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadDir = 'uploads/profile';
-    
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    // Create unique filename with user ID and timestamp
-    const userId = req.user._id;
-    const fileExtension = path.extname(file.originalname);
-    const fileName = `user_${userId}_${Date.now()}${fileExtension}`;
-    
-    cb(null, fileName);
-  }
-});
+// Keep the upload in memory, it goes to the configured storage from there
+const memoryStorage = multer.memoryStorage();
+
+// Profile images are stored under profile/ and referenced as uploads/profile/<file>
+const PROFILE_DIR_NAME = 'profile';
 
 // Filter for image files only
 const fileFilter = (req, file, cb) => {
@@ -39,7 +23,7 @@ const fileFilter = (req, file, cb) => {
 
 // Configure multer upload
 const upload = multer({
-  storage: storage,
+  storage: memoryStorage,
   fileFilter: fileFilter,
   limits: {
     fileSize: 5 * 1024 * 1024 // 5MB limit
@@ -55,40 +39,41 @@ exports.saveProfileImage = catchAsync(async (req, res, next) => {
     return next(new AppError('No file uploaded', 400));
   }
 
+  // Create unique filename with user ID and timestamp
+  const fileName = `user_${req.user._id}_${Date.now()}${path.extname(req.file.originalname).toLowerCase()}`;
+  const key = await storage.saveBuffer(storage.joinKey(PROFILE_DIR_NAME, fileName), req.file.buffer, {
+    contentType: req.file.mimetype
+  });
+
   // Get user and update profile image
   const user = await User.findById(req.user._id);
-  
-  // If user already has a profile image, delete the old one
-  if (user.profileImage) {
-    try {
-      const oldImagePath = path.join(__dirname, '..', user.profileImage);
-      if (fs.existsSync(oldImagePath)) {
-        fs.unlinkSync(oldImagePath);
-      }
-    } catch (err) {
-      console.error('Error deleting old profile image:', err);
-      // Don't stop the process if old image deletion fails
-    }
-  }
-  
+  const oldImage = user.profileImage;
+
   // Update user with new profile image path
-  const imagePath = path.join('uploads/profile', req.file.filename).replace(/\\/g, '/');
+  const imagePath = `uploads/${key}`;
   user.profileImage = imagePath;
   await user.save();
+
+  // If user already had a profile image, delete the old one
+  // (a failed deletion is logged and does not stop the process)
+  if (oldImage && storage.keyFromPath(oldImage).startsWith(`${PROFILE_DIR_NAME}/`)) {
+    await storage.removeFiles([storage.keyFromPath(oldImage)]);
+  }
   
   // Log activity
   await createActivity(
     user._id, 
     'profile_update', 
     'Profile image updated', 
-    { imageFile: req.file.filename }
+    { imageFile: fileName }
   );
 
   res.status(200).json({
     status: 'success',
     message: 'Profile image updated successfully',
     data: {
-      profileImage: imagePath
+      profileImage: imagePath,
+      profileImageUrl: storage.fileUrl(key)
     }
   });
 });
@@ -114,7 +99,8 @@ exports.getProfileImage = catchAsync(async (req, res, next) => {
   res.status(200).json({
     status: 'success',
     data: {
-      profileImage: user.profileImage
+      profileImage: user.profileImage,
+      profileImageUrl: storage.fileUrl(storage.keyFromPath(user.profileImage))
     }
   });
 });
@@ -0,0 +1,179 @@
+const Vehicle = require('../models/Vehicle');
+const Car = require('../models/Car');
+const Booking = require('../models/Booking');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { syncCarStock } = require('../utils/fleet');
+
+// @desc    Register a physical unit of a car
+// @route   POST /api/vehicles
+// @access  Private/Admin
+exports.createVehicle = asyncHandler(async (req, res) => {
+  const car = req.body.carId && await Car.findById(req.body.carId);
+  if (!car) {
+    return res.status(404).json({
+      success: false,
+      message: 'Car not found'
+    });
+  }
+
+  // New units are parked where the car is based unless told otherwise
+  const vehicle = await Vehicle.create({
+    currentBranch: car.currentBranch || car.homeBranch,
+    ...req.body
+  });
+  await syncCarStock(vehicle.carId);
+
+  res.status(201).json({
+    success: true,
+    data: vehicle
+  });
+});
+
+// @desc    Get all vehicles
+// @route   GET /api/vehicles
+// @access  Private/Admin
+exports.getVehicles = asyncHandler(async (req, res) => {
+  const filter = {};
+
+  if (req.query.carId) {
+    filter.carId = req.query.carId;
+  }
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+  if (req.query.plate) {
+    filter.licensePlate = req.query.plate.toUpperCase().trim();
+  }
+
+  const vehicles = await Vehicle.find(filter)
+    .populate('carId', 'name brand model')
+    .sort('carId licensePlate');
+
+  res.status(200).json({
+    success: true,
+    count: vehicles.length,
+    data: vehicles
+  });
+});
+
+// @desc    Find the unit and renter behind a licence plate at a point in time, e.g. for a traffic fine
+// @route   GET /api/vehicles/lookup?plate=&at=
+// @access  Private/Admin
+exports.lookupVehicle = asyncHandler(async (req, res) => {
+  const { plate } = req.query;
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+
+  if (!plate || isNaN(at.getTime())) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a licence plate and a valid date'
+    });
+  }
+
+  const vehicle = await Vehicle.findOne({ licensePlate: plate.toUpperCase().trim() })
+    .populate('carId', 'name brand model');
+
+  if (!vehicle) {
+    return res.status(404).json({
+      success: false,
+      message: 'Vehicle not found'
+    });
+  }
+
+  // The renter had the unit between the checkout and checkin inspections
+  const booking = await Booking.findOne({
+    unitId: vehicle._id,
+    pickedUpAt: { $lte: at },
+    $or: [
+      { returnedAt: { $gte: at } },
+      { returnedAt: null, status: 'active' }
+    ]
+  }).populate('userId', 'name email phone');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      vehicle,
+      booking
+    }
+  });
+});
+
+// @desc    Get single vehicle
+// @route   GET /api/vehicles/:id
+// @access  Private/Admin
+exports.getVehicle = asyncHandler(async (req, res) => {
+  const vehicle = await Vehicle.findById(req.params.id).populate('carId', 'name brand model');
+
+  if (!vehicle) {
+    return res.status(404).json({
+      success: false,
+      message: 'Vehicle not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: vehicle
+  });
+});
+
+// @desc    Update vehicle
+// @route   PUT /api/vehicles/:id
+// @access  Private/Admin
+exports.updateVehicle = asyncHandler(async (req, res) => {
+  const vehicle = await Vehicle.findById(req.params.id);
+
+  if (!vehicle) {
+    return res.status(404).json({
+      success: false,
+      message: 'Vehicle not found'
+    });
+  }
+
+  // A unit stays with its car, bookings and inspections point at both
+  const { carId, ...updates } = req.body;
+  if (carId && carId.toString() !== vehicle.carId.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'A vehicle cannot be moved to another car'
+    });
+  }
+
+  vehicle.set(updates);
+  await vehicle.save();
+  await syncCarStock(vehicle.carId);
+
+  res.status(200).json({
+    success: true,
+    data: vehicle
+  });
+});
+
+// @desc    Delete vehicle
+// @route   DELETE /api/vehicles/:id
+// @access  Private/Admin
+exports.deleteVehicle = asyncHandler(async (req, res) => {
+  const vehicle = await Vehicle.findById(req.params.id);
+
+  if (!vehicle) {
+    return res.status(404).json({
+      success: false,
+      message: 'Vehicle not found'
+    });
+  }
+
+  // Units with rental history are retired so bookings, damage and fines keep pointing at them
+  if (await Booking.exists({ unitId: vehicle._id })) {
+    vehicle.status = 'retired';
+    await vehicle.save();
+  } else {
+    await vehicle.deleteOne();
+  }
+  await syncCarStock(vehicle.carId);
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+/**
+ * JSON with object keys sorted, so the same payload always hashes the same
+ * @param {*} value
+ * @returns {String}
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Replay the stored response when a request is retried with the same Idempotency-Key
+ * Must run after `protect` because keys are scoped to the authenticated user.
+ * Requests without the header are processed normally. A key reused with a
+ * different payload is rejected with 422, and a retry arriving while the first
+ * request is still running gets 409. Server errors are not stored so the client
+ * can retry them.
+ */
+exports.idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Idempotency-Key must be at most 255 characters long'
+    });
+  }
+
+  const userId = req.user ? req.user.id : null;
+  const requestHash = crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl} ${stableStringify(req.body || {})}`)
+    .digest('hex');
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      userId,
+      method: req.method,
+      path: req.originalUrl,
+      requestHash
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error('Error storing idempotency key:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Failed to process Idempotency-Key: ' + error.message
+      });
+    }
+
+    // The key was already used: replay or reject
+    const existing = await IdempotencyKey.findOne({ key, userId });
+
+    if (!existing || existing.requestHash !== requestHash) {
+      return res.status(422).json({
+        status: 'error',
+        message: 'This Idempotency-Key was already used with a different request'
+      });
+    }
+
+    if (existing.state === 'processing') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // Store the first response sent for this key
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const saving = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        { state: 'completed', responseStatus: res.statusCode, responseBody: body }
+      );
+
+    saving.catch(error => console.error('Error saving idempotent response:', error));
+
+    return originalJson(body);
+  };
+
+  next();
+};
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { BOOKING_STATUSES } = require('../utils/bookingStatus');
 
 const coordinatesSchema = new mongoose.Schema({
   lat: Number,
@@ -13,11 +14,152 @@ const locationSchema = new mongoose.Schema({
   coordinates: coordinatesSchema
 }, { _id: false });
 
+const priceItemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['rental', 'surcharge', 'discount', 'service', 'fee']
+  },
+  label: String,
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PricingRule'
+  },
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdditionalService'
+  },
+  quantity: Number,
+  unitPrice: Number,
+  amount: Number
+}, { _id: false });
+
+const priceBreakdownSchema = new mongoose.Schema({
+  currency: String,
+  days: Number,
+  items: [priceItemSchema],
+  subtotal: Number,
+  taxRate: Number,
+  tax: Number,
+  total: Number
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: String,
+  // Null when the change was made by the system, e.g. a payment webhook
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: String
+}, { _id: false });
+
+const modificationSchema = new mongoose.Schema({
+  previousStartDate: Date,
+  previousEndDate: Date,
+  startDate: Date,
+  endDate: Date,
+  previousTotal: Number,
+  newTotal: Number,
+  // Positive when the customer owes more, negative when a refund is due
+  difference: Number,
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const cancellationSchema = new mongoose.Schema({
+  policyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CancellationPolicy'
+  },
+  policyName: String,
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  hoursBeforePickup: Number,
+  feePercent: Number,
+  feeAmount: Number,
+  refundAmount: Number
+}, { _id: false });
+
+const extraChargeSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['late_return', 'mileage', 'fuel', 'charge', 'damage', 'other']
+  },
+  label: String,
+  quantity: Number,
+  unitPrice: Number,
+  amount: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const settlementSchema = new mongoose.Schema({
+  extraChargesSubtotal: Number,
+  tax: Number,
+  extraChargesTotal: Number,
+  // Rental total plus extra charges
+  finalTotal: Number,
+  balanceDue: Number,
+  settledAt: Date
+}, { _id: false });
+
+// Money collected for a booking, one entry per succeeded payment intent
+const paymentSchema = new mongoose.Schema({
+  paymentIntentId: String,
+  amount: Number,
+  paidAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Copy of the car kept on its bookings when the car is purged, so history still shows it
+const vehicleSnapshotSchema = new mongoose.Schema({
+  name: String,
+  brand: String,
+  model: String,
+  year: Number,
+  category: String,
+  type: String,
+  transmission: String,
+  fuelType: String,
+  licensePlate: String,
+  snapshotAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const bookingSchema = new mongoose.Schema({
   pickupLocation: locationSchema,
   dropoffLocation: locationSchema,
   pickupCoordinates: coordinatesSchema,
   dropoffCoordinates: coordinatesSchema,
+  // Branches the car is picked up from and returned to; the locations above mirror their address
+  pickupBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  dropoffBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
   extras: {
     type: Object,
     default: {}
@@ -32,6 +174,12 @@ const bookingSchema = new mongoose.Schema({
     ref: 'Car',
     required: [true, 'A booking must be for a vehicle']
   },
+  vehicleSnapshot: vehicleSnapshotSchema,
+  // Physical unit handed over, assigned at confirmation or at the latest at checkout
+  unitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle'
+  },
   startDate: {
     type: Date,
     required: [true, 'Please provide a start date']
@@ -44,16 +192,34 @@ const bookingSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Please provide the total amount']
   },
+  // Server-computed itemized price, totalAmount always equals priceBreakdown.total
+  priceBreakdown: priceBreakdownSchema,
   status: {
     type: String,
-    enum: ['pending', 'active', 'completed', 'cancelled'],
+    enum: BOOKING_STATUSES,
     default: 'pending'
   },
+  // Every status change goes through utils/bookingStatus and is recorded here
+  statusHistory: [statusChangeSchema],
+  // Actual handover times, set by the checkout and checkin inspections
+  pickedUpAt: Date,
+  returnedAt: Date,
+  // Charges added after the rental, e.g. late return, mileage overage or refill
+  extraCharges: [extraChargeSchema],
+  settlement: settlementSchema,
+  // Refund terms computed when the booking was cancelled
+  cancellation: cancellationSchema,
+  // Date and service changes made after the booking was created
+  modifications: [modificationSchema],
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'refunded'],
+    enum: ['pending', 'paid', 'refunded', 'partially_refunded'],
     default: 'pending'
   },
+  payments: [paymentSchema],
+  // Sum of payments; the total can change after payment, so refunds use this instead.
+  // Left unset on bookings paid before payments were recorded
+  amountPaid: Number,
   additionalServices: [{
     serviceId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -83,6 +249,7 @@ bookingSchema.virtual('vehicle', {
 // Index for faster queries
 bookingSchema.index({ userId: 1, status: 1 });
 bookingSchema.index({ vehicleId: 1, startDate: 1, endDate: 1 });
+bookingSchema.index({ unitId: 1, startDate: 1, endDate: 1 });
 
 // Update the updatedAt field before saving
 bookingSchema.pre('save', function(next) {
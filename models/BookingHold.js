@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Short-lived reservation taken while a customer goes through checkout
+const bookingHoldSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'A hold must belong to a user']
+  },
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: [true, 'A hold must be for a vehicle']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Please provide a start date']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Please provide an end date']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// MongoDB removes holds once expiresAt has passed; the sweep runs about once a
+// minute, so availability checks also filter on expiresAt themselves
+bookingHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+bookingHoldSchema.index({ vehicleId: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model('BookingHold', bookingHoldSchema);
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const openingHoursSchema = new mongoose.Schema({
+  // Day of the week, 0 = Sunday
+  day: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  // Local times as HH:mm; a day can have several entries, e.g. around a lunch break
+  open: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Opening time must be HH:mm']
+  },
+  close: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Closing time must be HH:mm']
+  }
+}, { _id: false });
+
+const holidayClosureSchema = new mongoose.Schema({
+  // Local calendar day the branch is closed
+  date: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// A rental location where cars are based, picked up and dropped off
+const branchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a name for the branch'],
+    unique: true,
+    trim: true
+  },
+  address: {
+    type: String,
+    required: [true, 'Please provide the branch address'],
+    trim: true
+  },
+  // GeoJSON point, coordinates are [longitude, latitude]
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: [true, 'Please provide the branch coordinates'],
+      validate: {
+        validator: (coordinates) => coordinates.length === 2 &&
+          coordinates[0] >= -180 && coordinates[0] <= 180 &&
+          coordinates[1] >= -90 && coordinates[1] <= 90,
+        message: 'Coordinates must be [longitude, latitude]'
+      }
+    }
+  },
+  // IANA time zone the opening hours are given in
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: (timezone) => {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'Please provide a valid IANA time zone, e.g. Europe/Paris'
+    }
+  },
+  // Days without an entry are closed
+  openingHours: [openingHoursSchema],
+  holidayClosures: [holidayClosureSchema],
+  phone: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+branchSchema.index({ location: '2dsphere' });
+
+// Update the updatedAt field before saving
+branchSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Make sure every opening period closes after it opens
+branchSchema.pre('validate', function(next) {
+  (this.openingHours || []).forEach((period, index) => {
+    if (period.open && period.close && period.close <= period.open) {
+      this.invalidate(`openingHours.${index}.close`, 'Closing time must be after opening time');
+    }
+  });
+  next();
+});
+
+module.exports = mongoose.model('Branch', branchSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const cancellationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a name for the cancellation policy'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Cancelling at least this many hours before pickup is free
+  freeCancellationHours: {
+    type: Number,
+    required: [true, 'Please provide the free cancellation window in hours'],
+    min: 0
+  },
+  // Fee charged when cancelling inside the free window but before pickup
+  lateCancellationFeePercent: {
+    type: Number,
+    required: [true, 'Please provide the late cancellation fee percentage'],
+    min: 0,
+    max: 100
+  },
+  // The default policy is the one applied to cancellations
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+cancellationPolicySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('CancellationPolicy', cancellationPolicySchema);
@@ -1,4 +1,68 @@
 const mongoose = require('mongoose');
+const { TEXT_INDEX_WEIGHTS } = require('../utils/carSearch');
+const { fileUrl } = require('../utils/storage');
+
+// WebP variants of an uploaded photo, as storage keys
+const photoVariantsSchema = new mongoose.Schema({
+  thumbnail: String,
+  medium: String,
+  large: String
+}, { _id: false });
+
+const photoSchema = new mongoose.Schema({
+  variants: {
+    type: photoVariantsSchema,
+    required: true
+  },
+  // Size of the large variant
+  width: Number,
+  height: Number,
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'A caption can be at most 200 characters']
+  },
+  // Description for screen readers
+  altText: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Alt text can be at most 200 characters']
+  },
+  // Cover photo shown in listings, exactly one photo of a car has it
+  isPrimary: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Public URL of each variant
+photoSchema.virtual('urls').get(function() {
+  const urls = {};
+  Object.entries((this.variants && this.variants.toObject()) || {}).forEach(([variant, storagePath]) => {
+    if (storagePath) {
+      urls[variant] = fileUrl(storagePath);
+    }
+  });
+  return urls;
+});
+
+/**
+ * Make sure exactly one photo is the cover: the first flagged one, or the
+ * first photo when none is flagged
+ * @param {Array} photos - Photo subdocuments or plain objects, changed in place
+ * @returns {Array} - The same photos
+ */
+const ensurePrimaryPhoto = (photos) => {
+  const primaryIndex = Math.max(photos.findIndex(photo => photo.isPrimary), 0);
+  photos.forEach((photo, index) => {
+    photo.isPrimary = index === primaryIndex;
+  });
+  return photos;
+};
 
 const carSchema = new mongoose.Schema({
   name: {
@@ -51,10 +115,8 @@ const carSchema = new mongoose.Schema({
     required: [true, 'Please provide the price per day'],
     min: 0
   },
-  photos: [{
-    type: String,
-    required: [true, 'Please provide at least one photo']
-  }],
+  // Each upload is stored as thumbnail, medium and large WebP files, see utils/imageProcessing
+  photos: [photoSchema],
   description: {
     type: String,
     required: [true, 'Please provide a description']
@@ -70,6 +132,16 @@ const carSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Please provide the car location']
   },
+  // Branch the car is based at and picked up from by default
+  homeBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  // Branch the car is parked at now, moved by one-way rentals at check-in
+  currentBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
   mileage: {
     type: Number,
     required: [true, 'Please provide the car mileage']
@@ -84,12 +156,42 @@ const carSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Daily km allowance before extra mileage is charged (0 = unlimited), falls back to INCLUDED_KM_PER_DAY
+  includedKmPerDay: {
+    type: Number,
+    min: 0
+  },
+  // Price per km over the allowance, falls back to EXTRA_KM_RATE
+  extraKmRate: {
+    type: Number,
+    min: 0
+  },
+  // Km between two services, falls back to SERVICE_INTERVAL_KM
+  serviceIntervalKm: {
+    type: Number,
+    min: 1
+  },
+  // Mileage at the last completed service, for cars without registered units
+  lastServiceMileage: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Set when a check-in crosses the service interval, cleared by the next service
+  serviceDueSince: Date,
+  // Fleet size: number of identical units that can be rented at the same time
   stock: {
     type: Number,
     default: 1,
     min: 0,
     required: [true, 'Please provide stock quantity']
   },
+  // Bumped by every booking transaction on this car so concurrent ones conflict
+  reservationVersion: {
+    type: Number,
+    default: 0,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -101,13 +203,48 @@ const carSchema = new mongoose.Schema({
   carDirName: {
     type: String,
     trim: true
+  },
+  // Archived cars are hidden from listings and cannot be booked, but stay for booking history
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 });
 
+// Indexes for catalogue filtering and sorting
+carSchema.index({ category: 1, pricePerDay: 1 });
+carSchema.index({ pricePerDay: 1, _id: 1 });
+carSchema.index({ rating: -1, _id: 1 });
+carSchema.index({ createdAt: -1, _id: 1 });
+carSchema.index({ archivedAt: 1 });
+
+// Full-text search over the catalogue, see utils/carSearch for the weights
+carSchema.index(
+  { name: 'text', brand: 'text', model: 'text', description: 'text', features: 'text' },
+  { name: 'car_text_search', weights: TEXT_INDEX_WEIGHTS }
+);
+
 // Update the updatedAt field before saving
 carSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  // A new car starts at its home branch
+  if (this.homeBranch && !this.currentBranch) {
+    this.currentBranch = this.homeBranch;
+  }
   next();
 });
 
+carSchema.pre('validate', function(next) {
+  if (this.isModified('photos')) {
+    ensurePrimaryPhoto(this.photos);
+  }
+  next();
+});
+
+carSchema.statics.ensurePrimaryPhoto = ensurePrimaryPhoto;
+
 module.exports = mongoose.model('Car', carSchema); 
\ No newline at end of file
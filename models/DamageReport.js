@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Statuses in which a report is still unresolved
+const UNRESOLVED_STATUSES = ['open', 'assessed', 'charged'];
+
+const damageReportSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  carId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: [true, 'A damage report must be for a car']
+  },
+  // Damaged unit; reports without one concern the car as a whole
+  unitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle'
+  },
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  description: {
+    type: String,
+    required: [true, 'Please describe the damage'],
+    trim: true
+  },
+  // Confirmed severity, set by admins only; a severe report takes the car or unit off the road
+  severity: {
+    type: String,
+    enum: ['minor', 'moderate', 'severe'],
+    default: 'minor'
+  },
+  // Severity suggested by the customer, a hint for the assessment that blocks nothing
+  reportedSeverity: {
+    type: String,
+    enum: ['minor', 'moderate', 'severe']
+  },
+  photos: [{
+    type: String
+  }],
+  estimatedCost: {
+    type: Number,
+    min: 0
+  },
+  // Amount billed to the renter once the report is charged
+  chargedAmount: {
+    type: Number,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'assessed', 'charged', 'closed'],
+    default: 'open'
+  },
+  assessmentNotes: {
+    type: String,
+    trim: true
+  },
+  assessedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assessedAt: Date,
+  chargedAt: Date,
+  closedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+damageReportSchema.index({ carId: 1, status: 1, severity: 1 });
+damageReportSchema.index({ bookingId: 1 });
+
+// Update the updatedAt field before saving
+damageReportSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// IDs of the cars among carIds (or all cars) taken off the road by an unresolved severe report
+// Reports on a single unit only take that unit out of service (see Vehicle.status)
+damageReportSchema.statics.findBlockedCarIds = function(carIds) {
+  const filter = { severity: 'severe', status: { $in: UNRESOLVED_STATUSES }, unitId: null };
+  if (carIds) {
+    filter.carId = { $in: carIds };
+  }
+  return this.distinct('carId', filter);
+};
+
+damageReportSchema.statics.UNRESOLVED_STATUSES = UNRESOLVED_STATUSES;
+
+module.exports = mongoose.model('DamageReport', damageReportSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Response stored for a client-supplied Idempotency-Key so retries can be replayed
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  method: String,
+  path: String,
+  // Hash of method, path and body, used to detect a key reused for another request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  state: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: Number,
+  responseBody: Object,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Keys are scoped to the user that sent them
+idempotencyKeySchema.index({ key: 1, userId: 1 }, { unique: true });
+
+// Keys are forgotten after 24 hours
+idempotencyKeySchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Condition of a car recorded when it is picked up (checkout) or returned (checkin)
+const inspectionSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'An inspection must belong to a booking']
+  },
+  carId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: [true, 'An inspection must be for a car']
+  },
+  unitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle'
+  },
+  type: {
+    type: String,
+    enum: ['checkout', 'checkin'],
+    required: true
+  },
+  odometer: {
+    type: Number,
+    required: [true, 'Please provide the odometer reading'],
+    min: 0
+  },
+  // Fuel tank level in percent
+  fuelLevel: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  // Battery charge in percent, for electric and hybrid cars
+  chargeLevel: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  damageNotes: {
+    type: String,
+    trim: true
+  },
+  photos: [{
+    type: String
+  }],
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  performedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One checkout and one checkin per booking
+inspectionSchema.index({ bookingId: 1, type: 1 }, { unique: true });
+
+module.exports = mongoose.model('Inspection', inspectionSchema);
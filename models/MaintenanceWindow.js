@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Windows in these statuses take the car or unit out of availability
+const ACTIVE_STATUSES = ['scheduled', 'in_progress'];
+
+// Planned downtime of a car (every unit) or of a single unit
+const maintenanceWindowSchema = new mongoose.Schema({
+  carId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: [true, 'A maintenance window must be for a car']
+  },
+  // Unit under maintenance; without one the whole car is unavailable
+  unitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle'
+  },
+  type: {
+    type: String,
+    enum: ['service', 'tyre_change', 'inspection', 'repair', 'other'],
+    default: 'service'
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Please provide a start date']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Please provide an end date']
+  },
+  status: {
+    type: String,
+    enum: [...ACTIVE_STATUSES, 'completed', 'cancelled'],
+    default: 'scheduled'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Odometer reading when the work was completed
+  odometer: {
+    type: Number,
+    min: 0
+  },
+  completedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+maintenanceWindowSchema.index({ carId: 1, status: 1, startDate: 1, endDate: 1 });
+
+// Update the updatedAt field before saving
+maintenanceWindowSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Validate that endDate is after startDate
+maintenanceWindowSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'End date must be after start date');
+  }
+  next();
+});
+
+// IDs of the cars with every unit in maintenance at the given time
+maintenanceWindowSchema.statics.findBlockedCarIds = function(at = new Date()) {
+  return this.distinct('carId', {
+    unitId: null,
+    status: { $in: ACTIVE_STATUSES },
+    startDate: { $lte: at },
+    endDate: { $gt: at }
+  });
+};
+
+maintenanceWindowSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = mongoose.model('MaintenanceWindow', maintenanceWindowSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Entry of the branch-to-branch fee matrix for returning a car elsewhere than its pickup branch
+const oneWayFeeSchema = new mongoose.Schema({
+  fromBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Please provide the pickup branch']
+  },
+  toBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Please provide the dropoff branch']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please provide the fee amount'],
+    min: 0
+  },
+  // Also use this fee for the opposite direction when it has no entry of its own
+  bidirectional: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+oneWayFeeSchema.index({ fromBranch: 1, toBranch: 1 }, { unique: true });
+
+// Update the updatedAt field before saving
+oneWayFeeSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// A route always connects two different branches
+oneWayFeeSchema.pre('validate', function(next) {
+  if (this.fromBranch && this.toBranch && this.fromBranch.toString() === this.toBranch.toString()) {
+    this.invalidate('toBranch', 'Dropoff branch must differ from pickup branch');
+  }
+  next();
+});
+
+module.exports = mongoose.model('OneWayFee', oneWayFeeSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const pricingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a name for the pricing rule'],
+    trim: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Please provide the pricing rule type'],
+    enum: ['weekend_surcharge', 'season', 'long_rental_discount', 'category_override']
+  },
+  // Car categories the rule applies to, empty means every category
+  categories: [{
+    type: String,
+    enum: ['economy', 'compact', 'midsize', 'luxury', 'suv', 'van', 'sports']
+  }],
+  // Optional date window, both days included
+  startDate: Date,
+  endDate: Date,
+  // Surcharge (weekend_surcharge) or discount (long_rental_discount) in percent
+  percentage: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  // Daily price multiplier (season, category_override)
+  multiplier: {
+    type: Number,
+    min: 0
+  },
+  // Fixed daily price replacing Car.pricePerDay (category_override)
+  pricePerDay: {
+    type: Number,
+    min: 0
+  },
+  // Minimum rental length for a long_rental_discount, e.g. 7 for weekly, 30 for monthly
+  minDays: {
+    type: Number,
+    min: 1
+  },
+  // Days of the week counted as weekend (0 = Sunday)
+  weekendDays: {
+    type: [Number],
+    default: [0, 6]
+  },
+  // Higher priority wins when several rules of the same type apply
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+pricingRuleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Make sure each rule type carries the values it needs
+pricingRuleSchema.pre('validate', function(next) {
+  switch (this.type) {
+    case 'weekend_surcharge':
+      if (this.percentage == null) {
+        this.invalidate('percentage', 'A weekend surcharge needs a percentage');
+      }
+      break;
+    case 'season':
+      if (this.multiplier == null) {
+        this.invalidate('multiplier', 'A season rule needs a multiplier');
+      }
+      if (!this.startDate || !this.endDate) {
+        this.invalidate('startDate', 'A season rule needs a start and end date');
+      }
+      break;
+    case 'long_rental_discount':
+      if (this.percentage == null || this.minDays == null) {
+        this.invalidate('percentage', 'A long rental discount needs a percentage and minDays');
+      }
+      break;
+    case 'category_override':
+      if (this.pricePerDay == null && this.multiplier == null) {
+        this.invalidate('pricePerDay', 'A category override needs a pricePerDay or a multiplier');
+      }
+      if (!this.categories || this.categories.length === 0) {
+        this.invalidate('categories', 'A category override needs at least one category');
+      }
+      break;
+    default:
+      break;
+  }
+
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must not be before start date');
+  }
+  next();
+});
+
+pricingRuleSchema.index({ isActive: 1, type: 1 });
+
+module.exports = mongoose.model('PricingRule', pricingRuleSchema);
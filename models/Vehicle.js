@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Units in these statuses cannot be rented out and do not count towards Car.stock
+const OUT_OF_SERVICE_STATUSES = ['maintenance', 'damaged', 'retired'];
+
+// A physical unit of a car from the catalogue, identified by its VIN and licence plate
+const vehicleSchema = new mongoose.Schema({
+  carId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: [true, 'A vehicle must belong to a car']
+  },
+  vin: {
+    type: String,
+    required: [true, 'Please provide the VIN'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    // 17 characters, I, O and Q are never used
+    match: [/^[A-HJ-NPR-Z0-9]{17}$/, 'Please provide a valid 17 character VIN']
+  },
+  licensePlate: {
+    type: String,
+    required: [true, 'Please provide the licence plate'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  colour: {
+    type: String,
+    trim: true
+  },
+  // Branch the unit is parked at now, moved by one-way rentals at check-in
+  currentBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  mileage: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Mileage at the last completed service, the interval comes from the car
+  lastServiceMileage: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Set when a check-in crosses the service interval, cleared by the next service
+  serviceDueSince: Date,
+  status: {
+    type: String,
+    enum: ['available', 'rented', ...OUT_OF_SERVICE_STATUSES],
+    default: 'available'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+vehicleSchema.index({ carId: 1, status: 1 });
+
+// Update the updatedAt field before saving
+vehicleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+vehicleSchema.statics.OUT_OF_SERVICE_STATUSES = OUT_OF_SERVICE_STATUSES;
+
+module.exports = mongoose.model('Vehicle', vehicleSchema);
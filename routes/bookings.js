@@ -3,7 +3,19 @@ const mongoose = require('mongoose');
 const router = express.Router();
 const Booking = require('../models/Booking');
 const auth = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const Car = require('../models/Car');
+const Vehicle = require('../models/Vehicle');
+const Branch = require('../models/Branch');
+const inspectionController = require('../controllers/inspectionController');
+const BookingHold = require('../models/BookingHold');
+const { parseDateRange, getAvailableUnits, getUnitsAtBranch, lockCar } = require('../utils/availability');
+const { roundAmount, normalizeServiceIds, quoteBooking, toBookingServices } = require('../utils/pricing');
+const { applyStatusChange, initialStatusHistory } = require('../utils/bookingStatus');
+const { getCancellationPolicy, applyCancellation } = require('../utils/cancellation');
+const { getAmountPaid } = require('../utils/payments');
+const { assignUnit } = require('../utils/fleet');
+const { isBranchOpen, branchLocation, resolveBookingBranches } = require('../utils/branches');
 
 /**
  * @swagger
@@ -30,12 +42,18 @@ const Car = require('../models/Car');
  *           type: string
  *           format: date
  *           description: End date of the booking
+ *         pickupBranch:
+ *           type: string
+ *           description: ID of the pickup branch, defaults to the car's home branch. Must be open at startDate.
+ *         dropoffBranch:
+ *           type: string
+ *           description: ID of the return branch, defaults to the pickup branch. Must be open at endDate.
  *         totalPrice:
  *           type: number
  *           description: Total price of the booking
  *         status:
  *           type: string
- *           enum: [pending, confirmed, cancelled, completed]
+ *           enum: [pending, confirmed, active, completed, cancelled, rejected, no_show]
  *           description: Status of the booking
  */
 
@@ -62,6 +80,9 @@ const Car = require('../models/Car');
 // Get ObjectId from mongoose
 const ObjectId = mongoose.Types.ObjectId;
 
+// How long a checkout hold keeps a car reserved
+const HOLD_DURATION_MINUTES = parseInt(process.env.HOLD_DURATION_MINUTES) || 15;
+
 router.get('/', auth.protect, async (req, res) => {
   try {
     let query = {};
@@ -245,6 +266,309 @@ router.get('/:id', auth.protect, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /bookings/quote:
+ *   post:
+ *     summary: Get an itemized price quote for a rental
+ *     tags: [Bookings]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - vehicleId
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               vehicleId:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               additionalServices:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs of the selected additional services
+ *               pickupBranch:
+ *                 type: string
+ *               dropoffBranch:
+ *                 type: string
+ *                 description: A different dropoff branch adds the one-way fee
+ *     responses:
+ *       200:
+ *         description: Price breakdown with line items, taxes, fees and total
+ *       400:
+ *         description: Invalid dates (or a rental longer than MAX_RENTAL_DAYS, 365 by default), additional services, branch hours or one-way route
+ *       404:
+ *         description: Car not found
+ */
+router.post('/quote', async (req, res) => {
+  try {
+    const {
+      vehicleId,
+      startDate,
+      endDate,
+      additionalServices,
+      pickupBranch: pickupBranchId,
+      dropoffBranch: dropoffBranchId
+    } = req.body;
+
+    if (!vehicleId || !startDate || !endDate) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'VehicleId, startDate, and endDate are required'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid vehicle ID format'
+      });
+    }
+
+    const { start, end, error: dateError } = parseDateRange(startDate, endDate);
+    if (dateError) {
+      return res.status(400).json({
+        status: 'error',
+        message: dateError
+      });
+    }
+
+    const car = await Car.findById(vehicleId);
+    if (!car) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Car not found'
+      });
+    }
+
+    const { pickupBranch, dropoffBranch, error: branchError, statusCode: branchStatus } =
+      await resolveBookingBranches({ car, pickupBranchId, dropoffBranchId, start, end });
+    if (branchError) {
+      return res.status(branchStatus).json({
+        status: 'error',
+        message: branchError
+      });
+    }
+
+    const { quote, error: priceError } = await quoteBooking({
+      car,
+      start,
+      end,
+      additionalServices,
+      pickupBranch,
+      dropoffBranch
+    });
+    if (priceError) {
+      return res.status(400).json({
+        status: 'error',
+        message: priceError
+      });
+    }
+
+    let availableUnits = await getAvailableUnits(car, start, end);
+    if (pickupBranch) {
+      const unitsAtBranch = await getUnitsAtBranch(car, pickupBranch._id, start, end);
+      if (unitsAtBranch !== null) {
+        availableUnits = Math.min(availableUnits, unitsAtBranch);
+      }
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        quote,
+        available: availableUnits > 0
+      }
+    });
+  } catch (error) {
+    console.error('Error computing booking quote:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to compute quote: ' + error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /bookings/hold:
+ *   post:
+ *     summary: Reserve a car for a few minutes while the customer checks out
+ *     description: The hold counts against availability until it expires or is turned into a booking by passing its ID as holdId when creating the booking.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - vehicleId
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               vehicleId:
+ *                 type: string
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Hold created, with its expiry time
+ *       400:
+ *         description: Invalid request or the car is fully booked for these dates
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Car not found
+ */
+router.post('/hold', auth.protect, async (req, res) => {
+  try {
+    const { vehicleId, startDate, endDate } = req.body;
+
+    if (!vehicleId || !startDate || !endDate) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'VehicleId, startDate, and endDate are required'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid vehicle ID format'
+      });
+    }
+
+    const { start, end, error: dateError } = parseDateRange(startDate, endDate);
+    if (dateError) {
+      return res.status(400).json({
+        status: 'error',
+        message: dateError
+      });
+    }
+
+    const car = await Car.findById(vehicleId);
+    if (!car) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Car not found'
+      });
+    }
+
+    const result = await mongoose.connection.transaction(async (session) => {
+      await lockCar(car._id, session);
+
+      // A customer restarting checkout replaces their previous hold on this car
+      await BookingHold.deleteMany({ userId: req.user.id, vehicleId }, { session });
+
+      const availableUnits = await getAvailableUnits(car, start, end, { session });
+      if (availableUnits <= 0) {
+        return { error: 'This car is fully booked for the selected dates' };
+      }
+
+      const [hold] = await BookingHold.create([{
+        userId: req.user.id,
+        vehicleId,
+        startDate: start,
+        endDate: end,
+        expiresAt: new Date(Date.now() + HOLD_DURATION_MINUTES * 60 * 1000)
+      }], { session });
+
+      return { hold };
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: result.error
+      });
+    }
+
+    const { hold } = result;
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        hold
+      }
+    });
+  } catch (error) {
+    console.error('Error creating booking hold:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to hold car: ' + error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /bookings/hold/{id}:
+ *   delete:
+ *     summary: Release a checkout hold before it expires
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Hold released
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Hold not found
+ */
+router.delete('/hold/:id', auth.protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid hold ID format'
+      });
+    }
+
+    const result = await BookingHold.deleteOne({ _id: req.params.id, userId: req.user.id });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Hold not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Hold released'
+    });
+  } catch (error) {
+    console.error('Error releasing booking hold:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to release hold: ' + error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /bookings:
@@ -253,6 +577,13 @@ router.get('/:id', auth.protect, async (req, res) => {
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Retries with the same key and body replay the first response
  *     requestBody:
  *       required: true
  *       content:
@@ -264,8 +595,10 @@ router.get('/:id', auth.protect, async (req, res) => {
  *         description: Booking created successfully
  *       401:
  *         description: Unauthorized
+ *       422:
+ *         description: Idempotency-Key already used with a different request
  */
-router.post('/', auth.protect, async (req, res) => {
+router.post('/', auth.protect, idempotent, async (req, res) => {
   try {
     const {
       vehicleId,
@@ -276,7 +609,10 @@ router.post('/', auth.protect, async (req, res) => {
       startDate,
       endDate,
       extras,
-      totalAmount
+      additionalServices,
+      holdId,
+      pickupBranch: pickupBranchId,
+      dropoffBranch: dropoffBranchId
     } = req.body;
 
     // Validate required fields
@@ -287,15 +623,15 @@ router.post('/', auth.protect, async (req, res) => {
       });
     }
 
-    // Validate location information
-    if (!pickupLocation || !dropoffLocation) {
+    const { start, end, error: dateError } = parseDateRange(startDate, endDate);
+    if (dateError) {
       return res.status(400).json({
         status: 'error',
-        message: 'Invalid location information. Both pickup and dropoff locations are required with address and coordinates.'
+        message: dateError
       });
     }
     
-    // Check car availability and stock
+    // Check that the car exists and is open for booking
     const car = await Car.findById(vehicleId);
     if (!car) {
       return res.status(404).json({
@@ -304,55 +640,137 @@ router.post('/', auth.protect, async (req, res) => {
       });
     }
     
-    if (!car.availability) {
+    if (!car.availability || car.archivedAt) {
       return res.status(400).json({
         status: 'error',
         message: 'This car is not available for booking'
       });
     }
     
-    if (car.stock <= 0) {
-      return res.status(400).json({
+    // Pickup and return happen at branches when the car has one or the customer picked one
+    const { pickupBranch, dropoffBranch, error: branchError, statusCode: branchStatus } =
+      await resolveBookingBranches({ car, pickupBranchId, dropoffBranchId, start, end });
+    if (branchError) {
+      return res.status(branchStatus).json({
         status: 'error',
-        message: 'This car is out of stock'
+        message: branchError
       });
     }
     
-    // Decrease car stock
-    car.stock -= 1;
+    // Validate location information
+    if (!pickupBranch && (!pickupLocation || !dropoffLocation)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid location information. Please choose pickup and dropoff branches or provide both locations with address and coordinates.'
+      });
+    }
     
-    // If stock becomes zero, set availability to false
-    if (car.stock === 0) {
-      car.availability = false;
+    if (holdId && !mongoose.Types.ObjectId.isValid(holdId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid hold ID format'
+      });
     }
     
-    // Save car with updated stock
-    await car.save();
+    // Price is always computed server-side, a client-supplied total is ignored
+    const { quote, services, error: priceError } = await quoteBooking({
+      car,
+      start,
+      end,
+      additionalServices,
+      pickupBranch,
+      dropoffBranch
+    });
+    if (priceError) {
+      return res.status(400).json({
+        status: 'error',
+        message: priceError
+      });
+    }
 
     // Create new booking document
+    const pickup = pickupBranch ? branchLocation(pickupBranch) : pickupLocation;
+    const dropoff = dropoffBranch ? branchLocation(dropoffBranch) : dropoffLocation;
+    
     const newBooking = new Booking({
       userId: req.user.id,
       vehicleId,
       pickupLocation: {
-        address: pickupLocation.address || '',
-        coordinates: pickupLocation.coordinates || { lat: 0, lng: 0 }
+        address: pickup.address || '',
+        coordinates: pickup.coordinates || { lat: 0, lng: 0 }
       },
       dropoffLocation: {
-        address: dropoffLocation.address || '',
-        coordinates: dropoffLocation.coordinates || { lat: 0, lng: 0 }
+        address: dropoff.address || '',
+        coordinates: dropoff.coordinates || { lat: 0, lng: 0 }
       },
-      pickupCoordinates: pickupCoordinates || { lat: 0, lng: 0 },
-      dropoffCoordinates: dropoffCoordinates || { lat: 0, lng: 0 },
-      startDate: new Date(startDate),
-      endDate: new Date(endDate),
+      pickupCoordinates: pickupCoordinates || pickup.coordinates || { lat: 0, lng: 0 },
+      dropoffCoordinates: dropoffCoordinates || dropoff.coordinates || { lat: 0, lng: 0 },
+      pickupBranch: pickupBranch ? pickupBranch._id : undefined,
+      dropoffBranch: dropoffBranch ? dropoffBranch._id : undefined,
+      startDate: start,
+      endDate: end,
       extras: extras || {},
-      totalAmount,
+      additionalServices: toBookingServices(services),
+      totalAmount: quote.total,
+      priceBreakdown: quote,
       status: 'pending',
+      statusHistory: initialStatusHistory(req.user.id),
       paymentStatus: 'pending'
     });
 
-    // Save the booking to MongoDB
-    const savedBooking = await newBooking.save();
+    // Check availability and save in one transaction so parallel requests
+    // cannot both take the last unit
+    const result = await mongoose.connection.transaction(async (session) => {
+      await lockCar(car._id, session);
+      
+      // A checkout hold taken by this customer is converted into the booking
+      let hold = null;
+      if (holdId) {
+        hold = await BookingHold.findOne({
+          _id: holdId,
+          userId: req.user.id,
+          vehicleId,
+          expiresAt: { $gt: new Date() }
+        }).session(session);
+        if (!hold) {
+          return { error: 'The hold has expired or does not exist. Please start checkout again.' };
+        }
+      }
+      
+      // Stock is the fleet size; overlapping bookings and holds each take one unit
+      const availableUnits = await getAvailableUnits(car, start, end, {
+        excludeHoldId: hold && hold._id,
+        session
+      });
+      if (availableUnits <= 0) {
+        return { error: 'This car is fully booked for the selected dates' };
+      }
+      
+      // The car also has to be at the pickup branch, one-way rentals move it around
+      if (pickupBranch) {
+        const unitsAtBranch = await getUnitsAtBranch(car, pickupBranch._id, start, end, { session });
+        if (unitsAtBranch !== null && unitsAtBranch <= 0) {
+          return { error: `This car is not available at ${pickupBranch.name} for the selected dates` };
+        }
+      }
+      
+      const booking = await newBooking.save({ session });
+      
+      if (hold) {
+        await BookingHold.deleteOne({ _id: hold._id }, { session });
+      }
+      
+      return { booking };
+    });
+    
+    if (result.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: result.error
+      });
+    }
+    
+    const savedBooking = result.booking;
     console.log('Booking saved to database:', savedBooking);
 
     // Return the saved booking
@@ -365,26 +783,6 @@ router.post('/', auth.protect, async (req, res) => {
   } catch (error) {
     console.error('Error creating booking:', error);
     
-    // If there was an error, restore car stock if it was decreased
-    if (req.body.vehicleId) {
-      try {
-        const car = await Car.findById(req.body.vehicleId);
-        if (car) {
-          // Only restore stock if we got to that part of the process
-          // This is a simplistic approach; in production you'd want more
-          // robust transaction handling
-          car.stock += 1;
-          if (!car.availability && car.stock > 0) {
-            car.availability = true;
-          }
-          await car.save();
-          console.log('Restored car stock due to booking error');
-        }
-      } catch (stockError) {
-        console.error('Error restoring car stock:', stockError);
-      }
-    }
-    
     res.status(500).json({
       status: 'error',
       message: 'Failed to create booking: ' + error.message
@@ -397,6 +795,7 @@ router.post('/', auth.protect, async (req, res) => {
  * /bookings/{id}/approve:
  *   put:
  *     summary: Approve a booking
+ *     description: Confirms the booking and assigns a physical unit of the car, either the requested one or the least driven free unit. Cars without registered units are confirmed without one.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -406,6 +805,17 @@ router.post('/', auth.protect, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               unitId:
+ *                 type: string
+ *                 description: Vehicle to hand over
+ *               note:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Booking approved successfully
@@ -413,8 +823,10 @@ router.post('/', auth.protect, async (req, res) => {
  *         description: Unauthorized
  *       404:
  *         description: Booking not found
+ *       409:
+ *         description: Booking cannot be approved from its current status
  */
-router.put('/:id/approve', auth.protect, async (req, res) => {
+router.put('/:id/approve', auth.protect, auth.isAdmin, async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id);
     
@@ -425,10 +837,41 @@ router.put('/:id/approve', auth.protect, async (req, res) => {
       });
     }
     
-    booking.status = 'active';
+    const { error: statusError } = applyStatusChange(booking, 'confirmed', {
+      changedBy: req.user.id,
+      note: req.body.note
+    });
+    if (statusError) {
+      return res.status(409).json({
+        status: 'error',
+        message: statusError
+      });
+    }
+    
     booking.updatedAt = new Date();
     
-    const updatedBooking = await booking.save();
+    const result = await mongoose.connection.transaction(async (session) => {
+      // Serialize with other bookings of the car so a unit is never handed out twice
+      await lockCar(booking.vehicleId, session);
+      
+      if (req.body.unitId || await Vehicle.exists({ carId: booking.vehicleId }).session(session)) {
+        const { error, statusCode } = await assignUnit(booking, { unitId: req.body.unitId, session });
+        if (error) {
+          return { error, statusCode };
+        }
+      }
+      
+      return { booking: await booking.save({ session }) };
+    });
+    
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        status: 'error',
+        message: result.error
+      });
+    }
+    
+    const updatedBooking = result.booking;
     
     res.status(200).json({
       status: 'success',
@@ -438,6 +881,12 @@ router.put('/:id/approve', auth.protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Error approving booking:', error);
+    if (error.name === 'DocumentNotFoundError') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'The booking status was changed by another request. Please reload and try again.'
+      });
+    }
     res.status(500).json({
       status: 'error',
       message: 'Failed to approve booking: ' + error.message
@@ -450,6 +899,7 @@ router.put('/:id/approve', auth.protect, async (req, res) => {
  * /bookings/{id}/cancel:
  *   put:
  *     summary: Cancel a booking
+ *     description: Applies the default cancellation policy, stores the refundable amount on the booking and moves paymentStatus to refunded or partially_refunded when money is returned.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -459,6 +909,12 @@ router.put('/:id/approve', auth.protect, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Retries with the same key and body replay the first response
  *     responses:
  *       200:
  *         description: Booking cancelled successfully
@@ -466,6 +922,8 @@ router.put('/:id/approve', auth.protect, async (req, res) => {
  *         description: Unauthorized
  *       404:
  *         description: Booking not found
+ *       409:
+ *         description: Booking cannot be cancelled from its current status
  */
 /**
  * @swagger
@@ -546,7 +1004,7 @@ router.delete('/:id', auth.protect, async (req, res) => {
   }
 });
 
-router.put('/:id/cancel', auth.protect, async (req, res) => {
+router.put('/:id/cancel', auth.protect, idempotent, async (req, res) => {
   try {
     console.log('Cancelling booking with ID:', req.params.id);
     
@@ -575,16 +1033,30 @@ router.put('/:id/cancel', auth.protect, async (req, res) => {
     }
     
     // Check if the user is authorized to cancel this booking
-    if (booking.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (booking.userId.toString() !== req.user.id.toString() && req.user.role !== 'admin') {
       return res.status(403).json({
         status: 'error',
         message: 'You are not authorized to cancel this booking'
       });
     }
     
-    booking.status = 'cancelled';
-    booking.updatedAt = new Date();
-    
+    const { error: statusError } = applyStatusChange(booking, 'cancelled', {
+      changedBy: req.user.id,
+      note: req.body.note
+    });
+    if (statusError) {
+      return res.status(409).json({
+        status: 'error',
+        message: statusError
+      });
+    }
+    
+    // Work out the refund from the cancellation policy
+    const policy = await getCancellationPolicy();
+    applyCancellation(booking, policy, req.user.id);
+    
+    booking.updatedAt = new Date();
+    
     const updatedBooking = await booking.save();
     
     res.status(200).json({
@@ -595,6 +1067,12 @@ router.put('/:id/cancel', auth.protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Error cancelling booking:', error);
+    if (error.name === 'DocumentNotFoundError') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'The booking status was changed by another request. Please reload and try again.'
+      });
+    }
     res.status(500).json({
       status: 'error',
       message: 'Failed to cancel booking: ' + error.message
@@ -623,8 +1101,10 @@ router.put('/:id/cancel', auth.protect, async (req, res) => {
  *         description: Unauthorized
  *       404:
  *         description: Booking not found
+ *       409:
+ *         description: Booking cannot be rejected from its current status
  */
-router.put('/:id/reject', auth.protect, async (req, res) => {
+router.put('/:id/reject', auth.protect, auth.isAdmin, async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id);
     
@@ -635,7 +1115,17 @@ router.put('/:id/reject', auth.protect, async (req, res) => {
       });
     }
     
-    booking.status = 'cancelled';
+    const { error: statusError } = applyStatusChange(booking, 'rejected', {
+      changedBy: req.user.id,
+      note: req.body.note
+    });
+    if (statusError) {
+      return res.status(409).json({
+        status: 'error',
+        message: statusError
+      });
+    }
+    
     booking.updatedAt = new Date();
     
     const updatedBooking = await booking.save();
@@ -648,6 +1138,12 @@ router.put('/:id/reject', auth.protect, async (req, res) => {
     });
   } catch (error) {
     console.error('Error rejecting booking:', error);
+    if (error.name === 'DocumentNotFoundError') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'The booking status was changed by another request. Please reload and try again.'
+      });
+    }
     res.status(500).json({
       status: 'error',
       message: 'Failed to reject booking: ' + error.message
@@ -655,6 +1151,480 @@ router.put('/:id/reject', auth.protect, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /bookings/{id}/status:
+ *   put:
+ *     summary: Move a booking to another status (Admin only)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [confirmed, active, completed, cancelled, rejected, no_show]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Booking status updated successfully
+ *       400:
+ *         description: Missing or unknown status
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Transition not allowed from the current status
+ */
+router.put('/:id/status', auth.protect, auth.isAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid booking ID format'
+      });
+    }
+    
+    if (!req.body.status) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Status is required'
+      });
+    }
+    
+    const booking = await Booking.findById(req.params.id);
+    
+    if (!booking) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Booking not found'
+      });
+    }
+    
+    const { error: statusError, statusCode } = applyStatusChange(booking, req.body.status, {
+      changedBy: req.user.id,
+      note: req.body.note
+    });
+    if (statusError) {
+      return res.status(statusCode).json({
+        status: 'error',
+        message: statusError
+      });
+    }
+    
+    booking.updatedAt = new Date();
+    
+    const updatedBooking = await booking.save();
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        booking: updatedBooking
+      }
+    });
+  } catch (error) {
+    console.error('Error updating booking status:', error);
+    if (error.name === 'DocumentNotFoundError') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'The booking status was changed by another request. Please reload and try again.'
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update booking status: ' + error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /bookings/{id}/dates:
+ *   patch:
+ *     summary: Change the dates or additional services of a booking
+ *     description: Re-checks availability for the new window, re-prices the booking and returns the price difference. Once the car is picked up only the end date can change.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               addServices:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               removeServices:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Booking updated with the new price and the difference to charge or refund
+ *       400:
+ *         description: Invalid dates or services, or the car is not available for the new dates
+ *       403:
+ *         description: Not the owner of the booking
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking can no longer be modified
+ */
+router.patch('/:id/dates', auth.protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid booking ID format'
+      });
+    }
+    
+    const { startDate, endDate, addServices, removeServices } = req.body;
+    
+    const booking = await Booking.findById(req.params.id);
+    
+    if (!booking) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Booking not found'
+      });
+    }
+    
+    if (booking.userId.toString() !== req.user.id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not authorized to modify this booking'
+      });
+    }
+    
+    if (!['pending', 'confirmed', 'active'].includes(booking.status)) {
+      return res.status(409).json({
+        status: 'error',
+        message: `A ${booking.status} booking cannot be modified`
+      });
+    }
+    
+    const { start, end, error: dateError } = parseDateRange(
+      startDate || booking.startDate,
+      endDate || booking.endDate
+    );
+    if (dateError) {
+      return res.status(400).json({
+        status: 'error',
+        message: dateError
+      });
+    }
+    
+    // A rental in progress can only be extended or shortened
+    if (booking.status === 'active') {
+      if (start.getTime() !== booking.startDate.getTime()) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'The start date cannot change after the car has been picked up'
+        });
+      }
+      if (end <= new Date()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'The new end date must be in the future'
+        });
+      }
+    }
+    
+    const car = await Car.findById(booking.vehicleId);
+    if (!car) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Car not found'
+      });
+    }
+    
+    const [pickupBranch, dropoffBranch] = await Promise.all([
+      booking.pickupBranch ? Branch.findById(booking.pickupBranch) : null,
+      booking.dropoffBranch ? Branch.findById(booking.dropoffBranch) : null
+    ]);
+    
+    // Changed pickup or return times must still fall within the branch opening hours
+    const changedTimes = [
+      { branch: pickupBranch, date: start, changed: start.getTime() !== booking.startDate.getTime(), label: 'pickup' },
+      { branch: dropoffBranch, date: end, changed: end.getTime() !== booking.endDate.getTime(), label: 'return' }
+    ].filter(item => item.branch && item.changed);
+    for (const { branch, date, label } of changedTimes) {
+      if (!isBranchOpen(branch, date)) {
+        return res.status(400).json({
+          status: 'error',
+          message: `The new ${label} time is outside the opening hours of ${branch.name}`
+        });
+      }
+    }
+    
+    const removed = normalizeServiceIds(removeServices);
+    const serviceIds = booking.additionalServices
+      .map(service => service.serviceId && service.serviceId.toString())
+      .filter(id => id && !removed.includes(id))
+      .concat(normalizeServiceIds(addServices));
+    
+    const { quote, services, error: priceError } = await quoteBooking({
+      car,
+      start,
+      end,
+      additionalServices: serviceIds,
+      pickupBranch,
+      dropoffBranch
+    });
+    if (priceError) {
+      return res.status(400).json({
+        status: 'error',
+        message: priceError
+      });
+    }
+    
+    const previousTotal = booking.totalAmount;
+    const difference = roundAmount(quote.total - previousTotal);
+    
+    booking.modifications.push({
+      previousStartDate: booking.startDate,
+      previousEndDate: booking.endDate,
+      startDate: start,
+      endDate: end,
+      previousTotal,
+      newTotal: quote.total,
+      difference,
+      changedBy: req.user.id
+    });
+    booking.startDate = start;
+    booking.endDate = end;
+    booking.additionalServices = toBookingServices(services);
+    booking.totalAmount = quote.total;
+    booking.priceBreakdown = quote;
+    booking.updatedAt = new Date();
+    
+    const result = await mongoose.connection.transaction(async (session) => {
+      await lockCar(car._id, session);
+      
+      // The booking's own reservation does not count against the new window
+      const availableUnits = await getAvailableUnits(car, start, end, {
+        excludeBookingId: booking._id,
+        session
+      });
+      if (availableUnits <= 0) {
+        return { error: 'This car is fully booked for the selected dates' };
+      }
+      
+      // Moving the pickup can cross one-way rentals bringing the car to or from the branch
+      if (pickupBranch && booking.status !== 'active') {
+        const unitsAtBranch = await getUnitsAtBranch(car, pickupBranch._id, start, end, {
+          excludeBookingId: booking._id,
+          session
+        });
+        if (unitsAtBranch !== null && unitsAtBranch <= 0) {
+          return { error: `This car is not available at ${pickupBranch.name} for the selected dates` };
+        }
+      }
+      
+      // Keep the assigned unit if it is still free, otherwise pick another one
+      if (booking.unitId && booking.status === 'confirmed') {
+        const kept = await assignUnit(booking, { unitId: booking.unitId, session });
+        if (kept.error) {
+          const { error } = await assignUnit(booking, { session });
+          if (error) {
+            booking.unitId = undefined;
+          }
+        }
+      }
+      
+      return { booking: await booking.save({ session }) };
+    });
+    
+    if (result.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: result.error
+      });
+    }
+    
+    const updatedBooking = result.booking;
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        booking: updatedBooking,
+        priceChange: {
+          previousTotal,
+          newTotal: quote.total,
+          difference,
+          // Only money already collected can be refunded
+          chargeDue: difference > 0 ? difference : 0,
+          refundDue: difference < 0 ? roundAmount(Math.max(getAmountPaid(updatedBooking) - quote.total, 0)) : 0
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error modifying booking:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to modify booking: ' + error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /bookings/{id}/checkout:
+ *   post:
+ *     summary: Record the pickup inspection and start the rental (Admin only)
+ *     description: Stores odometer, fuel or charge level, damage notes and photos, moves the booking from confirmed to active, hands over the assigned (or a free) unit and updates its mileage.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - odometer
+ *             properties:
+ *               unitId:
+ *                 type: string
+ *                 description: Vehicle handed over, defaults to the unit assigned at confirmation
+ *               odometer:
+ *                 type: number
+ *               fuelLevel:
+ *                 type: number
+ *                 description: Fuel level in percent
+ *               chargeLevel:
+ *                 type: number
+ *                 description: Battery charge in percent
+ *               damageNotes:
+ *                 type: string
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Inspection recorded and booking moved to active
+ *       400:
+ *         description: Invalid readings
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking is not confirmed or was already checked out
+ */
+router.post('/:id/checkout', auth.protect, auth.isAdmin, inspectionController.uploadInspectionPhotos, inspectionController.checkOut);
+
+/**
+ * @swagger
+ * /bookings/{id}/checkin:
+ *   post:
+ *     summary: Record the return inspection and complete the rental (Admin only)
+ *     description: Same fields as checkout. Moves the booking from active to completed, updates the car mileage and adds late return, mileage overage and refill charges to the booking settlement.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - odometer
+ *             properties:
+ *               odometer:
+ *                 type: number
+ *               fuelLevel:
+ *                 type: number
+ *               chargeLevel:
+ *                 type: number
+ *               damageNotes:
+ *                 type: string
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Inspection recorded, booking completed with its extra charges and final settlement
+ *       400:
+ *         description: Invalid readings
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking is not active or was already checked in
+ */
+router.post('/:id/checkin', auth.protect, auth.isAdmin, inspectionController.uploadInspectionPhotos, inspectionController.checkIn);
+
+/**
+ * @swagger
+ * /bookings/{id}/inspections:
+ *   get:
+ *     summary: Get the checkout and checkin inspections of a booking
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of inspections
+ *       403:
+ *         description: Not the owner of the booking
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/:id/inspections', auth.protect, inspectionController.getInspections);
+
 /**
  * @swagger
  * /bookings/user/{userId}:
@@ -801,7 +1771,7 @@ router.delete('/:id', auth.protect, async (req, res) => {
       });
     }
     
-    // Find the booking first to get the car ID
+    // Make sure the booking exists before deleting it
     const booking = await Booking.findById(bookingId);
     
     if (!booking) {
@@ -812,9 +1782,6 @@ router.delete('/:id', auth.protect, async (req, res) => {
       });
     }
     
-    // Get the vehicleId from the booking
-    const vehicleId = booking.vehicleId;
-    
     // Attempt to delete the booking
     const result = await Booking.deleteOne({ _id: new mongoose.Types.ObjectId(bookingId) });
     
@@ -828,23 +1795,6 @@ router.delete('/:id', auth.protect, async (req, res) => {
       });
     }
     
-    // Restore car stock
-    if (vehicleId) {
-      const car = await Car.findById(vehicleId);
-      if (car) {
-        // Increase the stock
-        car.stock += 1;
-        
-        // If the car was marked unavailable but now has stock, make it available again
-        if (!car.availability && car.stock > 0) {
-          car.availability = true;
-        }
-        
-        await car.save();
-        console.log('Restored car stock for vehicle ID:', vehicleId);
-      }
-    }
-    
     console.log('Successfully deleted booking with ID:', bookingId);
     
     // Respond with success
@@ -869,40 +1819,11 @@ router.delete('/emergency/:id', async (req, res) => {
     const bookingId = req.params.id;
     console.log('EMERGENCY DELETE ROUTE CALLED FOR ID:', bookingId);
     
-    // Find the booking first to get car ID
-    let booking;
-    try {
-      booking = await Booking.findById(bookingId);
-    } catch (findError) {
-      console.log('Could not find booking before emergency delete:', findError);
-    }
-    
     // No auth checks, direct deletion attempt
     const result = await Booking.deleteOne({ _id: bookingId });
     
     console.log('Emergency deletion result:', result);
     
-    // Try to restore car stock if possible
-    if (booking && booking.vehicleId) {
-      try {
-        const car = await Car.findById(booking.vehicleId);
-        if (car) {
-          // Increase stock
-          car.stock += 1;
-          
-          // If the car was unavailable but now has stock, make it available again
-          if (!car.availability && car.stock > 0) {
-            car.availability = true;
-          }
-          
-          await car.save();
-          console.log('Restored car stock in emergency delete for vehicle ID:', booking.vehicleId);
-        }
-      } catch (carError) {
-        console.error('Error updating car stock during emergency delete:', carError);
-      }
-    }
-    
     res.status(200).json({
       status: 'success',
       message: 'Emergency delete completed',
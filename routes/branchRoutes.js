@@ -0,0 +1,111 @@
+const express = require('express');
+const {
+  createBranch,
+  getBranches,
+  getBranch,
+  updateBranch,
+  deleteBranch
+} = require('../controllers/branchController');
+const { protect, restrictTo } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/branches:
+ *   get:
+ *     summary: List rental branches
+ *     tags: [Branches]
+ *     responses:
+ *       200:
+ *         description: List of branches with address, location and opening hours
+ *   post:
+ *     summary: Create a branch (Admin only)
+ *     tags: [Branches]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - address
+ *               - location
+ *             properties:
+ *               name:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               location:
+ *                 type: object
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [Point]
+ *                   coordinates:
+ *                     type: array
+ *                     description: '[longitude, latitude]'
+ *                     items:
+ *                       type: number
+ *               timezone:
+ *                 type: string
+ *                 example: Europe/Paris
+ *               openingHours:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     day:
+ *                       type: integer
+ *                       description: 0 = Sunday
+ *                     open:
+ *                       type: string
+ *                       example: '08:00'
+ *                     close:
+ *                       type: string
+ *                       example: '18:00'
+ *               holidayClosures:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     date:
+ *                       type: string
+ *                       format: date
+ *                     reason:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Branch created
+ */
+router.route('/')
+  .get(getBranches)
+  .post(protect, restrictTo('admin'), createBranch);
+
+/**
+ * @swagger
+ * /api/branches/{id}:
+ *   get:
+ *     summary: Get a branch
+ *     tags: [Branches]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Branch
+ *       404:
+ *         description: Branch not found
+ */
+router.route('/:id')
+  .get(getBranch)
+  .put(protect, restrictTo('admin'), updateBranch)
+  .delete(protect, restrictTo('admin'), deleteBranch);
+
+module.exports = router;
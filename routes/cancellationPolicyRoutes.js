@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+  createPolicy,
+  getCurrentPolicy,
+  getPolicies,
+  getPolicy,
+  updatePolicy,
+  deletePolicy
+} = require('../controllers/cancellationPolicyController');
+const { protect, restrictTo } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Public route so customers can see the terms before booking
+router.get('/current', getCurrentPolicy);
+
+// Admin only routes
+router.use(protect, restrictTo('admin'));
+
+router.route('/')
+  .get(getPolicies)
+  .post(createPolicy);
+
+router.route('/:id')
+  .get(getPolicy)
+  .put(updatePolicy)
+  .delete(deletePolicy);
+
+module.exports = router;
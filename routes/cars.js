@@ -36,6 +36,14 @@ const { protect, isAdmin } = require('../middleware/auth');
  *         available:
  *           type: boolean
  *           description: Car availability status
+ *         homeBranch:
+ *           type: string
+ *           description: ID of the branch the car is based at
+ *         archivedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the car was archived, null for cars in the catalogue
  */
 
 /**
@@ -51,9 +59,92 @@ const { protect, isAdmin } = require('../middleware/auth');
  *   get:
  *     summary: Get all cars
  *     tags: [Cars]
+ *     parameters:
+ *       - in: query
+ *         name: showAll
+ *         schema:
+ *           type: boolean
+ *         description: Include cars that are out of stock, disabled or off the road
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *         description: Only cars based at this branch
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Full-text search over name, brand, model, description and features. Results are sorted by relevance unless sort is given.
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: One or more comma separated categories, e.g. suv,luxury
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: transmission
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: fuelType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minSeats
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: maxSeats
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: features
+ *         schema:
+ *           type: string
+ *         description: Comma separated features the car must all have
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Comma separated fields, prefix with - for descending, e.g. pricePerDay,-rating
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma separated fields to return, e.g. name,pricePerDay,photos
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor of the previous page, an alternative to page
  *     responses:
  *       200:
- *         description: List of cars
+ *         description: List of cars. Paginated when page, limit or cursor is given.
  *         content:
  *           application/json:
  *             schema:
@@ -63,6 +154,9 @@ const { protect, isAdmin } = require('../middleware/auth');
  *                   type: string
  *                 results:
  *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                   description: Number of cars matching the filters
  *                 data:
  *                   type: object
  *                   properties:
@@ -70,14 +164,121 @@ const { protect, isAdmin } = require('../middleware/auth');
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/Car'
+ *                     pagination:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         page:
+ *                           type: integer
+ *                         limit:
+ *                           type: integer
+ *                         pages:
+ *                           type: integer
+ *                         nextCursor:
+ *                           type: string
+ *                           nullable: true
+ *       400:
+ *         description: Invalid filter, sort, fields or pagination parameters
  */
 router.get('/', carController.getAllCars);
 
+/**
+ * @swagger
+ * /api/cars/suggest:
+ *   get:
+ *     summary: Autocomplete suggestions for the car search bar
+ *     description: Brands, models and car names starting with the typed prefix, tolerating small typos
+ *     tags: [Cars]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 50
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 8
+ *           maximum: 20
+ *     responses:
+ *       200:
+ *         description: Suggestions with their type (brand, model or name) and number of matching cars. New cars show up within a minute.
+ *       400:
+ *         description: q is longer than 50 characters
+ */
+router.get('/suggest', carController.getCarSuggestions);
+
+/**
+ * @swagger
+ * /api/cars/nearby:
+ *   get:
+ *     summary: Find available cars at branches near a point
+ *     description: Cars are listed once, at the closest branch they can be picked up from, sorted by distance. With from and to only cars free for that window are returned.
+ *     tags: [Cars]
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lng
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 25
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 50
+ *         description: Largest number of cars to return
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Cars with their pickup branch and distanceKm, closest first
+ *       400:
+ *         description: Invalid coordinates, radius or dates
+ */
+router.get('/nearby', carController.getNearbyCars);
+
+/**
+ * @swagger
+ * /api/cars/archived:
+ *   get:
+ *     summary: Get archived cars (Admin only)
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Archived cars, most recently archived first
+ */
+router.get('/archived', protect, isAdmin, carController.getArchivedCars);
+
 /**
  * @swagger
  * /api/cars/{id}:
  *   get:
  *     summary: Get a car by ID
+ *     description: Archived cars are still returned, with archivedAt set, so booking history can show them.
  *     tags: [Cars]
  *     parameters:
  *       - in: path
@@ -103,6 +304,40 @@ router.get('/', carController.getAllCars);
  */
 router.get('/:id', carController.getCar);
 
+/**
+ * @swagger
+ * /api/cars/{id}/availability:
+ *   get:
+ *     summary: Get the day-by-day availability of each unit of a car
+ *     tags: [Cars]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day of the calendar (defaults to today)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End of the calendar, exclusive (defaults to 30 days after from)
+ *     responses:
+ *       200:
+ *         description: Per-day counts of free, reserved and blocked units with the status of each unit
+ *       400:
+ *         description: Invalid car ID or date range
+ *       404:
+ *         description: Car not found
+ */
+router.get('/:id/availability', carController.getCarAvailability);
+
 // Admin routes
 router.use(protect, isAdmin);
 
@@ -162,6 +397,7 @@ router.use(protect, isAdmin);
  *                 type: number
  *               photos:
  *                 type: array
+ *                 description: Up to 5 JPEG, PNG, WebP, GIF or AVIF images, stored as thumbnail, medium and large WebP without EXIF data
  *                 items:
  *                   type: string
  *                   format: binary
@@ -177,7 +413,9 @@ router.use(protect, isAdmin);
  *                 type: number
  *     responses:
  *       201:
- *         description: Car created successfully
+ *         description: Car created successfully, each photo with the URLs of its variants in photos[].urls
+ *       400:
+ *         description: Invalid data or a photo that is not a readable image
  */
 router.post('/', carController.createCar);
 
@@ -224,6 +462,7 @@ router.post('/', carController.createCar);
  *                 type: number
  *               photos:
  *                 type: array
+ *                 description: Up to 5 JPEG, PNG, WebP, GIF or AVIF images, stored as thumbnail, medium and large WebP without EXIF data
  *                 items:
  *                   type: string
  *                   format: binary
@@ -239,9 +478,12 @@ router.post('/', carController.createCar);
  *                 type: number
  *               replacePhotos:
  *                 type: boolean
+ *                 description: Replace all current photos with the uploaded ones and delete their files
  *     responses:
  *       200:
  *         description: Car updated successfully
+ *       400:
+ *         description: Invalid data or a photo that is not a readable image
  */
 router.patch('/:id', carController.updateCar);
 
@@ -249,7 +491,57 @@ router.patch('/:id', carController.updateCar);
  * @swagger
  * /api/cars/{id}:
  *   delete:
- *     summary: Delete a car (Admin only)
+ *     summary: Archive a car (Admin only)
+ *     description: The car is hidden from listings and can no longer be booked, but stays available for booking history. Use the purge endpoint to delete it permanently.
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Car archived
+ *       404:
+ *         description: Car not found
+ *       409:
+ *         description: The car is already archived or has upcoming or ongoing bookings
+ */
+router.delete('/:id', carController.archiveCar);
+
+/**
+ * @swagger
+ * /api/cars/{id}/restore:
+ *   patch:
+ *     summary: Restore an archived car (Admin only)
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Car back in the catalogue
+ *       404:
+ *         description: Car not found
+ *       409:
+ *         description: The car is not archived
+ */
+router.patch('/:id/restore', carController.restoreCar);
+
+/**
+ * @swagger
+ * /api/cars/{id}/purge:
+ *   delete:
+ *     summary: Permanently delete an archived car (Admin only)
+ *     description: Deletes the car and its photos. Its bookings keep a vehicleSnapshot with the car details and license plate; units that were rented out are kept as retired, the others are deleted.
  *     tags: [Cars]
  *     security:
  *       - bearerAuth: []
@@ -261,9 +553,117 @@ router.patch('/:id', carController.updateCar);
  *           type: string
  *     responses:
  *       204:
- *         description: Car deleted successfully
+ *         description: Car deleted permanently
+ *       404:
+ *         description: Car not found
+ *       409:
+ *         description: The car is not archived
+ */
+router.delete('/:id/purge', carController.purgeCar);
+
+/**
+ * @swagger
+ * /api/cars/{id}/photos/order:
+ *   patch:
+ *     summary: Reorder the photos of a car (Admin only)
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - order
+ *             properties:
+ *               order:
+ *                 type: array
+ *                 description: IDs of all photos of the car in their new order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Photos reordered
+ *       400:
+ *         description: The order does not list every photo exactly once
+ *       404:
+ *         description: Car not found
+ */
+router.patch('/:id/photos/order', carController.reorderPhotos);
+
+/**
+ * @swagger
+ * /api/cars/{id}/photos/{photoId}:
+ *   patch:
+ *     summary: Update the caption, alt text or cover flag of a photo (Admin only)
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: photoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               caption:
+ *                 type: string
+ *                 maxLength: 200
+ *               altText:
+ *                 type: string
+ *                 maxLength: 200
+ *               isPrimary:
+ *                 type: boolean
+ *                 description: true makes this the cover photo in place of the current one
+ *     responses:
+ *       200:
+ *         description: Photo updated
+ *       404:
+ *         description: Car or photo not found
+ *   delete:
+ *     summary: Delete a single photo and its files (Admin only)
+ *     description: When the cover photo is deleted, the first remaining photo becomes the cover.
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: photoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Photo deleted, returns the remaining photos
+ *       404:
+ *         description: Car or photo not found
  */
-router.delete('/:id', carController.deleteCar);
+router.patch('/:id/photos/:photoId', carController.updatePhoto);
+router.delete('/:id/photos/:photoId', carController.deletePhoto);
 
 /**
  * @swagger
@@ -0,0 +1,172 @@
+const express = require('express');
+const {
+  uploadDamagePhotos,
+  createDamageReport,
+  getDamageReports,
+  getDamageReport,
+  assessDamageReport,
+  chargeDamageReport,
+  closeDamageReport
+} = require('../controllers/damageReportController');
+const { protect, restrictTo } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/damage-reports:
+ *   post:
+ *     summary: Report damage or an incident on a car
+ *     description: Customers report against one of their bookings; admins may also pass a carId or unitId directly. A severe report that is not closed takes the damaged unit out of service, or the whole car when no unit is known. Only admins set the severity, either here or when assessing; a customer's severity is kept as reportedSeverity and blocks nothing.
+ *     tags: [Damage Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - description
+ *             properties:
+ *               bookingId:
+ *                 type: string
+ *               carId:
+ *                 type: string
+ *               unitId:
+ *                 type: string
+ *                 description: Damaged vehicle (admins), defaults to the unit of the booking
+ *               description:
+ *                 type: string
+ *               severity:
+ *                 type: string
+ *                 enum: [minor, moderate, severe]
+ *                 description: Confirmed severity for admins, stored as reportedSeverity for customers
+ *               estimatedCost:
+ *                 type: number
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Damage report created
+ *       403:
+ *         description: Booking belongs to another user
+ *   get:
+ *     summary: List damage reports
+ *     description: Admins see every report, customers the reports on their own bookings
+ *     tags: [Damage Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, assessed, charged, closed]
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: carId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: bookingId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of damage reports
+ */
+router.route('/')
+  .get(getDamageReports)
+  .post(uploadDamagePhotos, createDamageReport);
+
+/**
+ * @swagger
+ * /api/damage-reports/{id}:
+ *   get:
+ *     summary: Get a damage report
+ *     tags: [Damage Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Damage report
+ *       404:
+ *         description: Damage report not found
+ */
+router.get('/:id', getDamageReport);
+
+/**
+ * @swagger
+ * /api/damage-reports/{id}/assess:
+ *   patch:
+ *     summary: Assess a damage report (Admin only)
+ *     tags: [Damage Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               severity:
+ *                 type: string
+ *                 enum: [minor, moderate, severe]
+ *               estimatedCost:
+ *                 type: number
+ *               assessmentNotes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Damage report assessed
+ * /api/damage-reports/{id}/charge:
+ *   post:
+ *     summary: Bill an assessed damage report to the renter (Admin only)
+ *     description: Adds a damage charge to the booking and recomputes its settlement. Defaults to the estimated cost.
+ *     tags: [Damage Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Damage charged to the booking
+ *       409:
+ *         description: Report is not assessed or was already charged
+ * /api/damage-reports/{id}/close:
+ *   patch:
+ *     summary: Close a damage report once the car is repaired (Admin only)
+ *     tags: [Damage Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Damage report closed
+ */
+router.patch('/:id/assess', restrictTo('admin'), assessDamageReport);
+router.post('/:id/charge', restrictTo('admin'), chargeDamageReport);
+router.patch('/:id/close', restrictTo('admin'), closeDamageReport);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const { serveFile, servePrivateFile } = require('../controllers/fileController');
+const { protect } = require('../middleware/auth');
+const { PRIVATE_DIR_NAMES } = require('../utils/storage');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Files
+ *   description: Uploaded car, inspection, damage and profile photos
+ */
+
+/**
+ * @swagger
+ * /uploads/{key}:
+ *   get:
+ *     summary: Get a car or profile photo
+ *     description: With local storage the file is sent directly. With S3 storage the response redirects to the public URL, or to a signed URL when the bucket is private. Inspection and damage photos are not served here, see below.
+ *     tags: [Files]
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Storage key, e.g. toyota_corolla/photo-1700000000000-123-medium.webp
+ *     responses:
+ *       200:
+ *         description: The file
+ *       302:
+ *         description: Redirect to the file in remote storage
+ *       404:
+ *         description: File not found
+ */
+
+/**
+ * @swagger
+ * /uploads/inspections/{file}:
+ *   get:
+ *     summary: Get an inspection photo
+ *     description: Only the renter of the booking and admins can get the photo; with S3 storage the response always redirects to a short-lived signed URL. Damage photos are served the same way under /uploads/damage/{file}.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: file
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The file
+ *       302:
+ *         description: Redirect to a signed URL of the file
+ *       401:
+ *         description: Not logged in
+ *       404:
+ *         description: File not found or not one of the user's bookings
+ */
+router.get(new RegExp(`^/((?:${PRIVATE_DIR_NAMES.join('|')})/.+)$`), protect, servePrivateFile);
+router.get('/*', serveFile);
+
+module.exports = router;
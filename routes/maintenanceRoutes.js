@@ -0,0 +1,137 @@
+const express = require('express');
+const {
+  createMaintenanceWindow,
+  getMaintenanceWindows,
+  getMaintenanceWindow,
+  updateMaintenanceWindow,
+  deleteMaintenanceWindow
+} = require('../controllers/maintenanceController');
+const { protect, restrictTo } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Maintenance is scheduled by admins only
+router.use(protect, restrictTo('admin'));
+
+/**
+ * @swagger
+ * /api/maintenance-windows:
+ *   get:
+ *     summary: List maintenance windows (Admin only)
+ *     tags: [Maintenance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: carId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: unitId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, in_progress, completed, cancelled]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: List of maintenance windows
+ *   post:
+ *     summary: Schedule maintenance for a car or one of its units (Admin only)
+ *     description: The car (or unit) is unavailable for bookings during the window. Bookings the window overlaps are returned as conflictingBookings.
+ *     tags: [Maintenance]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - carId
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               carId:
+ *                 type: string
+ *               unitId:
+ *                 type: string
+ *                 description: Leave empty to take every unit of the car offline
+ *               type:
+ *                 type: string
+ *                 enum: [service, tyre_change, inspection, repair, other]
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Maintenance window scheduled
+ */
+router.route('/')
+  .get(getMaintenanceWindows)
+  .post(createMaintenanceWindow);
+
+/**
+ * @swagger
+ * /api/maintenance-windows/{id}:
+ *   put:
+ *     summary: Update, start or complete a maintenance window (Admin only)
+ *     description: Completing a service restarts the service interval of the car or unit at the given odometer reading.
+ *     tags: [Maintenance]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [scheduled, in_progress, completed]
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               odometer:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Maintenance window updated
+ *   delete:
+ *     summary: Cancel a maintenance window (Admin only)
+ *     tags: [Maintenance]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Maintenance window cancelled
+ */
+router.route('/:id')
+  .get(getMaintenanceWindow)
+  .put(updateMaintenanceWindow)
+  .delete(deleteMaintenanceWindow);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  createOneWayFee,
+  getOneWayFees,
+  getOneWayFee,
+  updateOneWayFee,
+  deleteOneWayFee
+} = require('../controllers/oneWayFeeController');
+const { protect, restrictTo } = require('../middleware/auth');
+
+const router = express.Router();
+
+// The one-way fee matrix is managed by admins only; customers see fees in quotes
+router.use(protect, restrictTo('admin'));
+
+router.route('/')
+  .get(getOneWayFees)
+  .post(createOneWayFee);
+
+router.route('/:id')
+  .get(getOneWayFee)
+  .put(updateOneWayFee)
+  .delete(deleteOneWayFee);
+
+module.exports = router;
@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const Booking = require('../models/Booking');
 const mongoose = require('mongoose');
+const { applyStatusChange } = require('../utils/bookingStatus');
+const { recordPayment } = require('../utils/payments');
 
 // Replace with your actual Stripe secret key
 const stripe = require('stripe')('sk_test_YOUR_STRIPE_SECRET_KEY');
@@ -37,7 +40,7 @@ const stripe = require('stripe')('sk_test_YOUR_STRIPE_SECRET_KEY');
  *       401:
  *         description: Unauthorized
  */
-router.post('/create-payment-intent', auth.protect, async (req, res) => {
+router.post('/create-payment-intent', auth.protect, idempotent, async (req, res) => {
   try {
     const { bookingId, amount } = req.body;
 
@@ -130,7 +133,7 @@ router.post('/create-payment-intent', auth.protect, async (req, res) => {
  *       401:
  *         description: Unauthorized
  */
-router.post('/confirm-payment', auth.protect, async (req, res) => {
+router.post('/confirm-payment', auth.protect, idempotent, async (req, res) => {
   try {
     const { bookingId, paymentIntentId } = req.body;
 
@@ -160,9 +163,20 @@ router.post('/confirm-payment', auth.protect, async (req, res) => {
       });
     }
 
-    // Update booking payment status
-    booking.paymentStatus = 'completed';
-    booking.status = 'confirmed'; // Optionally update booking status
+    // Record the payment and confirm the booking if it is still pending
+    recordPayment(booking, paymentIntent);
+    if (booking.status !== 'confirmed') {
+      const { error: statusError } = applyStatusChange(booking, 'confirmed', {
+        changedBy: req.user.id,
+        note: `Payment ${paymentIntentId} succeeded`
+      });
+      if (statusError) {
+        return res.status(409).json({
+          status: 'error',
+          message: statusError
+        });
+      }
+    }
     await booking.save();
 
     res.status(200).json({
@@ -219,8 +233,15 @@ router.post('/webhook', express.raw({type: 'application/json'}), async (req, res
         try {
           const booking = await Booking.findById(paymentIntent.metadata.bookingId);
           if (booking) {
-            booking.paymentStatus = 'completed';
-            booking.status = 'confirmed';
+            recordPayment(booking, paymentIntent);
+            if (booking.status !== 'confirmed') {
+              const { error: statusError } = applyStatusChange(booking, 'confirmed', {
+                note: `Payment ${paymentIntent.id} succeeded (webhook)`
+              });
+              if (statusError) {
+                console.error('Booking not confirmed via webhook:', statusError);
+              }
+            }
             await booking.save();
             console.log('Booking updated via webhook:', booking._id);
           }
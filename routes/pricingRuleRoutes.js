@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  createPricingRule,
+  getPricingRules,
+  getPricingRule,
+  updatePricingRule,
+  deletePricingRule
+} = require('../controllers/pricingRuleController');
+const { protect, restrictTo } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Pricing rules are managed by admins only
+router.use(protect, restrictTo('admin'));
+
+router.route('/')
+  .get(getPricingRules)
+  .post(createPricingRule);
+
+router.route('/:id')
+  .get(getPricingRule)
+  .put(updatePricingRule)
+  .delete(deletePricingRule);
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const {
+  createVehicle,
+  getVehicles,
+  lookupVehicle,
+  getVehicle,
+  updateVehicle,
+  deleteVehicle
+} = require('../controllers/vehicleController');
+const { protect, restrictTo } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Fleet units are managed by admins only
+router.use(protect, restrictTo('admin'));
+
+/**
+ * @swagger
+ * /api/vehicles:
+ *   get:
+ *     summary: List the physical units of the fleet (Admin only)
+ *     tags: [Vehicles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: carId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [available, rented, maintenance, damaged, retired]
+ *       - in: query
+ *         name: plate
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of vehicles
+ *   post:
+ *     summary: Register a unit of a car (Admin only)
+ *     description: The car's stock follows the number of its units in service
+ *     tags: [Vehicles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - carId
+ *               - vin
+ *               - licensePlate
+ *             properties:
+ *               carId:
+ *                 type: string
+ *               vin:
+ *                 type: string
+ *               licensePlate:
+ *                 type: string
+ *               colour:
+ *                 type: string
+ *               mileage:
+ *                 type: number
+ *               status:
+ *                 type: string
+ *                 enum: [available, rented, maintenance, damaged, retired]
+ *     responses:
+ *       201:
+ *         description: Vehicle created
+ */
+router.route('/')
+  .get(getVehicles)
+  .post(createVehicle);
+
+/**
+ * @swagger
+ * /api/vehicles/lookup:
+ *   get:
+ *     summary: Find who had a vehicle at a given time, e.g. for a traffic fine (Admin only)
+ *     tags: [Vehicles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: plate
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: The vehicle and the booking it was rented under, if any
+ *       404:
+ *         description: Vehicle not found
+ */
+router.get('/lookup', lookupVehicle);
+
+router.route('/:id')
+  .get(getVehicle)
+  .put(updateVehicle)
+  .delete(deleteVehicle);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { UPLOAD_GC_GRACE_HOURS, formatBytes, cleanupOrphanedUploads } = require('../utils/uploadCleanup');
+
+// Deletes uploaded files that no car, user, review, inspection or damage report
+// references any more, and leftovers in the temp directory, once they are older
+// than the grace period. The server also runs this every UPLOAD_GC_INTERVAL_HOURS.
+// Usage: node scripts/cleanupUploads.js [--dry-run] [--grace-hours=24]
+const parseArgs = (args) => {
+  const graceArg = args.find(arg => arg.startsWith('--grace-hours='));
+  return {
+    dryRun: args.includes('--dry-run'),
+    graceHours: graceArg ? parseFloat(graceArg.split('=')[1]) : UPLOAD_GC_GRACE_HOURS
+  };
+};
+
+const cleanupUploads = async () => {
+  let failed = false;
+
+  try {
+    const { dryRun, graceHours } = parseArgs(process.argv.slice(2));
+    if (isNaN(graceHours) || graceHours < 0) {
+      throw new Error('--grace-hours must be a number of hours');
+    }
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const result = await cleanupOrphanedUploads({ graceHours, dryRun });
+
+    result.orphaned.forEach(file => {
+      console.log(`  ${dryRun ? 'Would delete' : 'Deleted'} ${file.key} (${formatBytes(file.size)})`);
+    });
+    console.log(`Scanned ${result.scanned} files, ${result.orphaned.length} orphaned older than ${graceHours} h`);
+    console.log(dryRun
+      ? `Dry run: ${formatBytes(result.bytesReclaimed)} would be reclaimed`
+      : `Deleted ${result.deleted} files, reclaimed ${formatBytes(result.bytesReclaimed)}`);
+
+    if (result.failed) {
+      failed = true;
+      console.log(`${result.failed} files could not be deleted`);
+    }
+  } catch (error) {
+    failed = true;
+    console.error('Error cleaning up uploads:', error);
+  } finally {
+    await mongoose.disconnect();
+    process.exit(failed ? 1 : 0);
+  }
+};
+
+cleanupUploads();
@@ -2,7 +2,7 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const Booking = require('../models/Booking');
 const User = require('../models/User');
-const Vehicle = require('../models/Vehicle');
+const Car = require('../models/Car');
 
 const createTestBooking = async () => {
   try {
@@ -17,10 +17,10 @@ const createTestBooking = async () => {
       return;
     }
 
-    // Find a vehicle
-    const vehicle = await Vehicle.findOne();
+    // Find a car
+    const vehicle = await Car.findOne();
     if (!vehicle) {
-      console.log('No vehicles found in database. Please create at least one vehicle first.');
+      console.log('No cars found in database. Please create at least one car first.');
       return;
     }
 
@@ -62,7 +62,7 @@ const createTestBooking = async () => {
       },
       status: "pending",
       totalAmount: vehicle.pricePerDay * 3,
-      paymentStatus: "unpaid",
+      paymentStatus: "pending",
       extras: {
         insurance: true,
         childSeat: false,
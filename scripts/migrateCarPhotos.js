@@ -0,0 +1,71 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const path = require('path');
+const fs = require('fs');
+const Car = require('../models/Car');
+const { validateImage, createPhotoVariants } = require('../utils/imageProcessing');
+
+// Converts car photos stored as a single original file in UPLOAD_PATH into
+// WebP variants in the configured storage (see STORAGE_DRIVER). Originals are
+// removed once converted; photos whose file is missing or not an image are
+// dropped and listed.
+// Usage: node scripts/migrateCarPhotos.js
+const UPLOAD_PATH = process.env.UPLOAD_PATH || 'uploads';
+
+const migrateCarPhotos = async () => {
+  let failed = false;
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Read the raw documents, legacy photos do not fit the current schema
+    const cars = await Car.collection.find({ photos: { $elemMatch: { $type: 'string' } } }).toArray();
+    console.log(`Found ${cars.length} cars with photos to convert`);
+
+    for (const car of cars) {
+      const photos = [];
+      const converted = [];
+
+      for (const photo of car.photos) {
+        if (typeof photo !== 'string') {
+          photos.push(photo);
+          continue;
+        }
+
+        const fullPath = path.join(UPLOAD_PATH, photo);
+        if (!fs.existsSync(fullPath)) {
+          console.log(`  ${car.name}: ${photo} is missing, dropped`);
+          continue;
+        }
+
+        const { error } = await validateImage(fullPath);
+        if (error) {
+          console.log(`  ${car.name}: ${photo} dropped (${error})`);
+          continue;
+        }
+
+        const dirName = path.posix.dirname(photo);
+        const baseName = path.basename(photo, path.extname(photo));
+        const processed = await createPhotoVariants(fullPath, dirName, baseName);
+        photos.push({ _id: new mongoose.Types.ObjectId(), ...processed });
+        converted.push(fullPath);
+      }
+
+      await Car.collection.updateOne({ _id: car._id }, { $set: { photos, updatedAt: new Date() } });
+      converted.forEach(fullPath => fs.unlinkSync(fullPath));
+      console.log(`Converted ${converted.length} photos of ${car.name}`);
+    }
+
+    console.log('Photo migration finished');
+  } catch (error) {
+    failed = true;
+    console.error('Error migrating car photos:', error);
+  } finally {
+    await mongoose.disconnect();
+    process.exit(failed ? 1 : 0);
+  }
+};
+
+migrateCarPhotos();
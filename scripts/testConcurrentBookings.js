@@ -0,0 +1,95 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Car = require('../models/Car');
+const Booking = require('../models/Booking');
+
+// Fires parallel booking requests at the last unit of a car against a running
+// API and checks that exactly one of them succeeds.
+// Usage: API_URL=http://localhost:5000 node scripts/testConcurrentBookings.js
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+const CONCURRENCY = parseInt(process.env.CONCURRENCY) || 10;
+
+const testConcurrentBookings = async () => {
+  let car;
+  let passed = false;
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Find test user
+    const user = await User.findOne({ email: 'user@rentcar.com' });
+    if (!user) {
+      console.log('Test user not found. Please run createTestUser.js first.');
+      return;
+    }
+
+    const token = jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, {
+      expiresIn: '10m'
+    });
+
+    // A throwaway car with a single unit
+    car = await Car.create({
+      name: 'Concurrency Test Car',
+      brand: 'Test',
+      model: 'Concurrency',
+      year: new Date().getFullYear(),
+      category: 'economy',
+      type: 'sedan',
+      transmission: 'manual',
+      fuelType: 'petrol',
+      seats: 4,
+      pricePerDay: 10,
+      photos: [],
+      description: 'Temporary car created by testConcurrentBookings.js',
+      location: 'Test',
+      mileage: 0,
+      stock: 1
+    });
+
+    const startDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+    const endDate = new Date(startDate.getTime() + 3 * 24 * 60 * 60 * 1000);
+
+    const requests = Array.from({ length: CONCURRENCY }, () =>
+      fetch(`${API_URL}/api/bookings`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          vehicleId: car._id,
+          startDate,
+          endDate,
+          pickupLocation: { address: 'Test' },
+          dropoffLocation: { address: 'Test' }
+        })
+      }).then(response => response.status)
+    );
+
+    const statuses = await Promise.all(requests);
+    const created = statuses.filter(status => status === 201).length;
+    const stored = await Booking.countDocuments({ vehicleId: car._id });
+
+    console.log(`Sent ${CONCURRENCY} parallel bookings, response statuses:`, statuses.join(', '));
+    console.log(`Created: ${created}, stored in database: ${stored}`);
+
+    passed = created === 1 && stored === 1;
+    console.log(passed ? 'PASS: the last unit was booked exactly once' : 'FAIL: the last unit was oversold');
+  } catch (error) {
+    console.error('Error running concurrency test:', error);
+  } finally {
+    // Remove the test data
+    if (car) {
+      await Booking.deleteMany({ vehicleId: car._id });
+      await Car.deleteOne({ _id: car._id });
+    }
+    await mongoose.disconnect();
+    process.exit(passed ? 0 : 1);
+  }
+};
+
+testConcurrentBookings();
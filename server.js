@@ -2,9 +2,9 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const path = require('path');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('./config/swagger');
+const { scheduleUploadCleanup } = require('./utils/uploadCleanup');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -16,6 +16,14 @@ const userImageRoutes = require('./routes/userImageRoutes');
 const testRoutes = require('./routes/test');
 const serviceRoutes = require('./routes/serviceRoutes');
 const reviewRoutes = require('./routes/reviewRoutes');
+const pricingRuleRoutes = require('./routes/pricingRuleRoutes');
+const cancellationPolicyRoutes = require('./routes/cancellationPolicyRoutes');
+const damageReportRoutes = require('./routes/damageReportRoutes');
+const vehicleRoutes = require('./routes/vehicleRoutes');
+const maintenanceRoutes = require('./routes/maintenanceRoutes');
+const branchRoutes = require('./routes/branchRoutes');
+const oneWayFeeRoutes = require('./routes/oneWayFeeRoutes');
+const fileRoutes = require('./routes/fileRoutes');
 
 // Initialize express app
 const app = express();
@@ -25,7 +33,7 @@ app.use(cors({
   origin: ['http://localhost:4200', 'https://moementrabelsi.github.io'],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
   credentials: true,
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key']
 }));
 
 // Handle preflight requests for all routes
@@ -35,7 +43,7 @@ app.options('*', cors());
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', 'https://moementrabelsi.github.io');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PATCH, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Idempotency-Key');
   res.header('Access-Control-Allow-Credentials', 'true');
   next();
 });
@@ -46,8 +54,8 @@ app.use(express.urlencoded({ extended: true }));
 // Swagger Documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs));
 
-// Static files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Uploaded files, from local disk or S3 depending on STORAGE_DRIVER
+app.use('/uploads', fileRoutes);
 
 // API Routes
 app.use('/api/auth', authRoutes);
@@ -59,6 +67,13 @@ app.use('/api/profile-images', userImageRoutes);
 app.use('/api/test', testRoutes);
 app.use('/api/services', serviceRoutes);
 app.use('/api/reviews', reviewRoutes);
+app.use('/api/pricing-rules', pricingRuleRoutes);
+app.use('/api/cancellation-policies', cancellationPolicyRoutes);
+app.use('/api/damage-reports', damageReportRoutes);
+app.use('/api/vehicles', vehicleRoutes);
+app.use('/api/maintenance-windows', maintenanceRoutes);
+app.use('/api/branches', branchRoutes);
+app.use('/api/one-way-fees', oneWayFeeRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -80,6 +95,8 @@ mongoose.connect(process.env.MONGODB_URI)
       console.log(`Server is running on port ${PORT}`);
       console.log(`API Documentation available at http://localhost:${PORT}/api-docs`);
     });
+    // Remove orphaned uploads in the background
+    scheduleUploadCleanup();
   })
   .catch((err) => {
     console.error('MongoDB connection error:', err);
@@ -0,0 +1,421 @@
+const Car = require('../models/Car');
+const Booking = require('../models/Booking');
+const BookingHold = require('../models/BookingHold');
+const DamageReport = require('../models/DamageReport');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const Vehicle = require('../models/Vehicle');
+
+// Booking statuses that keep a unit of the car reserved for their date range
+const BLOCKING_STATUSES = ['pending', 'confirmed', 'active'];
+
+// Longest rental that can be quoted or booked; pricing walks the window day by day
+const MAX_RENTAL_DAYS = parseInt(process.env.MAX_RENTAL_DAYS) || 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse and validate a requested rental window
+ * @param {String|Date} startDate - Start of the window
+ * @param {String|Date} endDate - End of the window
+ * @param {Object} options - { maxDays } longest allowed window, MAX_RENTAL_DAYS by default
+ * @returns {Object} - { start, end } on success or { error } with a message
+ */
+const parseDateRange = (startDate, endDate, options = {}) => {
+  const maxDays = options.maxDays || MAX_RENTAL_DAYS;
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { error: 'Invalid startDate or endDate' };
+  }
+
+  if (end <= start) {
+    return { error: 'End date must be after start date' };
+  }
+
+  if (end - start > maxDays * DAY_MS) {
+    return { error: `The window can be at most ${maxDays} days long` };
+  }
+
+  return { start, end };
+};
+
+/**
+ * Mongo filter matching bookings that overlap the window [start, end)
+ * A booking ending exactly when the window starts does not overlap it
+ */
+const overlapFilter = (start, end) => ({
+  startDate: { $lt: end },
+  endDate: { $gt: start }
+});
+
+/**
+ * Highest number of bookings running at the same moment
+ * @param {Array} bookings - Objects with startDate and endDate
+ * @returns {Number}
+ */
+const getPeakUsage = (bookings) => {
+  const events = [];
+  bookings.forEach(booking => {
+    events.push([new Date(booking.startDate).getTime(), 1]);
+    events.push([new Date(booking.endDate).getTime(), -1]);
+  });
+
+  // Process returns before pickups at the same instant
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  let current = 0;
+  let peak = 0;
+  events.forEach(([, delta]) => {
+    current += delta;
+    peak = Math.max(peak, current);
+  });
+
+  return peak;
+};
+
+/**
+ * Find the bookings of a car that overlap a window
+ * @param {String} vehicleId - Car ID
+ * @param {Date} start - Window start
+ * @param {Date} end - Window end
+ * @param {Object} options - { excludeBookingId, session }
+ * @returns {Promise<Array>}
+ */
+const findOverlappingBookings = (vehicleId, start, end, options = {}) => {
+  const query = {
+    vehicleId,
+    status: { $in: BLOCKING_STATUSES },
+    ...overlapFilter(start, end)
+  };
+
+  if (options.excludeBookingId) {
+    query._id = { $ne: options.excludeBookingId };
+  }
+
+  return Booking.find(query).select('startDate endDate status').session(options.session || null);
+};
+
+/**
+ * Find the unexpired checkout holds of a car that overlap a window
+ * @param {String} vehicleId - Car ID
+ * @param {Date} start - Window start
+ * @param {Date} end - Window end
+ * @param {Object} options - { excludeHoldId, session }
+ * @returns {Promise<Array>}
+ */
+const findActiveHolds = (vehicleId, start, end, options = {}) => {
+  const query = {
+    vehicleId,
+    expiresAt: { $gt: new Date() },
+    ...overlapFilter(start, end)
+  };
+
+  if (options.excludeHoldId) {
+    query._id = { $ne: options.excludeHoldId };
+  }
+
+  return BookingHold.find(query).select('startDate endDate expiresAt').session(options.session || null);
+};
+
+/**
+ * Scheduled or running maintenance windows of a car overlapping a period
+ * @param {String} carId - Car ID
+ * @param {Date} start - Start of the period
+ * @param {Date} end - End of the period
+ * @param {Object} options - { session }
+ * @returns {Promise<Array>}
+ */
+const findMaintenanceWindows = (carId, start, end, options = {}) =>
+  MaintenanceWindow.find({
+    carId,
+    status: { $in: MaintenanceWindow.ACTIVE_STATUSES },
+    ...overlapFilter(start, end)
+  })
+    .select('unitId type startDate endDate')
+    .session(options.session || null);
+
+/**
+ * Whether an unresolved severe damage report takes the car off the road
+ * @param {String} carId - Car ID
+ * @returns {Promise<Boolean>}
+ */
+const isBlockedByDamage = async (carId) => {
+  const blocked = await DamageReport.findBlockedCarIds([carId]);
+  return blocked.length > 0;
+};
+
+/**
+ * Serialize reservations of a car inside a transaction
+ * Every transaction that reserves the car writes to the same Car document, so
+ * two concurrent ones conflict and MongoDB retries the later one, which then
+ * sees the reservation the first one committed
+ * @param {String} carId - Car ID
+ * @param {Object} session - Mongoose session of the running transaction
+ * @returns {Promise}
+ */
+const lockCar = (carId, session) =>
+  Car.updateOne({ _id: carId }, { $inc: { reservationVersion: 1 } }, { session });
+
+/**
+ * Number of units of a car still free for the whole window
+ * `car.stock` is the fleet size; each overlapping booking, active checkout
+ * hold or unit maintenance window consumes one unit. An archived car, or one with
+ * an unresolved severe damage report or a maintenance window for the whole car,
+ * has none.
+ * @param {Object} car - Car document
+ * @param {Date} start - Window start
+ * @param {Date} end - Window end
+ * @param {Object} options - { excludeBookingId, excludeHoldId, session }
+ * @returns {Promise<Number>}
+ */
+const getAvailableUnits = async (car, start, end, options = {}) => {
+  if (!car.availability || car.archivedAt || await isBlockedByDamage(car._id)) {
+    return 0;
+  }
+
+  const [bookings, holds, windows] = await Promise.all([
+    findOverlappingBookings(car._id, start, end, options),
+    findActiveHolds(car._id, start, end, options),
+    findMaintenanceWindows(car._id, start, end, options)
+  ]);
+
+  if (windows.some(window => !window.unitId)) {
+    return 0;
+  }
+
+  return Math.max(car.stock - getPeakUsage([...bookings, ...holds, ...windows]), 0);
+};
+
+/**
+ * Count the units of a car that can be picked up at a branch, from already loaded data
+ * See getUnitsAtBranch for the rules
+ * @param {Object} car - Car document
+ * @param {String} branchId - Pickup branch ID
+ * @param {Object} data - { units, moves, pickups } of this car, moves and pickups may cover other branches
+ * @returns {Number|null} - null when the car is not tied to any branch
+ */
+const countUnitsAtBranch = (car, branchId, { units, moves, pickups }) => {
+  const branch = branchId.toString();
+  const carBranch = car.currentBranch || car.homeBranch;
+
+  // Units without a branch of their own are parked where the car is
+  const unitBranches = units.length > 0
+    ? units.map(unit => unit.currentBranch || carBranch)
+    : Array.from({ length: car.stock }, () => carBranch);
+
+  if (unitBranches.every(unitBranch => !unitBranch)) {
+    return null;
+  }
+
+  let atBranch = unitBranches.filter(unitBranch => unitBranch && unitBranch.toString() === branch).length;
+
+  moves.forEach(booking => {
+    const from = booking.pickupBranch && booking.pickupBranch.toString();
+    const to = booking.dropoffBranch && booking.dropoffBranch.toString();
+    if (from === to) {
+      return;
+    }
+    if (from === branch) {
+      atBranch -= 1;
+    }
+    if (to === branch) {
+      atBranch += 1;
+    }
+  });
+
+  const branchPickups = pickups.filter(booking =>
+    booking.pickupBranch && booking.pickupBranch.toString() === branch
+  );
+
+  return Math.max(atBranch - getPeakUsage(branchPickups), 0);
+};
+
+// Units, one-way moves before the window and overlapping pickups of some cars at some branches
+const findBranchData = (carIds, branchIds, start, end, options = {}) => {
+  const session = options.session || null;
+  const excluded = options.excludeBookingId ? { _id: { $ne: options.excludeBookingId } } : {};
+
+  return Promise.all([
+    Vehicle.find({
+      carId: { $in: carIds },
+      status: { $nin: Vehicle.OUT_OF_SERVICE_STATUSES }
+    }).select('carId currentBranch').session(session),
+    Booking.find({
+      vehicleId: { $in: carIds },
+      status: { $in: BLOCKING_STATUSES },
+      endDate: { $lte: start },
+      $or: [{ pickupBranch: { $in: branchIds } }, { dropoffBranch: { $in: branchIds } }],
+      ...excluded
+    }).select('vehicleId pickupBranch dropoffBranch').session(session),
+    Booking.find({
+      vehicleId: { $in: carIds },
+      status: { $in: BLOCKING_STATUSES },
+      pickupBranch: { $in: branchIds },
+      ...overlapFilter(start, end),
+      ...excluded
+    }).select('vehicleId pickupBranch startDate endDate').session(session)
+  ]);
+};
+
+/**
+ * Number of units of a car that can be picked up at a branch for the whole window
+ * Starts from where the units are parked now and applies the one-way bookings
+ * not checked in yet that end before the pickup, each moving a unit from its
+ * pickup to its dropoff branch. Overlapping bookings picking up at the same
+ * branch then take one unit each. Use together with getAvailableUnits, which
+ * covers holds, maintenance and damage.
+ * @param {Object} car - Car document
+ * @param {String} branchId - Pickup branch ID
+ * @param {Date} start - Window start
+ * @param {Date} end - Window end
+ * @param {Object} options - { excludeBookingId, session }
+ * @returns {Promise<Number|null>} - null when the car is not tied to any branch
+ */
+const getUnitsAtBranch = async (car, branchId, start, end, options = {}) => {
+  const [units, moves, pickups] = await findBranchData([car._id], [branchId], start, end, options);
+  return countUnitsAtBranch(car, branchId, { units, moves, pickups });
+};
+
+/**
+ * getUnitsAtBranch for several cars and branches with three queries in total
+ * @param {Array} cars - Car documents
+ * @param {Array} branchIds - Pickup branch IDs
+ * @param {Date} start - Window start
+ * @param {Date} end - Window end
+ * @returns {Promise<Map>} - Car ID => Map of branch ID => number of units (or null)
+ */
+const getUnitsAtBranches = async (cars, branchIds, start, end) => {
+  const [units, moves, pickups] = await findBranchData(cars.map(car => car._id), branchIds, start, end);
+
+  // Group the loaded documents by car
+  const byCar = (items, field) => {
+    const groups = new Map();
+    items.forEach(item => {
+      const key = item[field].toString();
+      groups.set(key, [...(groups.get(key) || []), item]);
+    });
+    return (car) => groups.get(car._id.toString()) || [];
+  };
+  const unitsOf = byCar(units, 'carId');
+  const movesOf = byCar(moves, 'vehicleId');
+  const pickupsOf = byCar(pickups, 'vehicleId');
+
+  return new Map(cars.map(car => {
+    const data = { units: unitsOf(car), moves: movesOf(car), pickups: pickupsOf(car) };
+    const byBranch = new Map(branchIds.map(branchId =>
+      [branchId.toString(), countUnitsAtBranch(car, branchId, data)]
+    ));
+    return [car._id.toString(), byBranch];
+  }));
+};
+
+/**
+ * Spread bookings over the units of a car so each unit gets its own timeline
+ * Bookings are assigned in pickup order to the first unit free at pickup time
+ * @param {Array} bookings - Bookings sorted by startDate
+ * @param {Number} unitCount - Fleet size
+ * @returns {Array} - One array of bookings per unit
+ */
+const assignBookingsToUnits = (bookings, unitCount) => {
+  const units = Array.from({ length: unitCount }, () => []);
+  const freeAt = Array.from({ length: unitCount }, () => 0);
+
+  bookings.forEach(booking => {
+    const start = new Date(booking.startDate).getTime();
+    const index = freeAt.findIndex(time => time <= start);
+    if (index === -1) {
+      return;
+    }
+    units[index].push(booking);
+    freeAt[index] = new Date(booking.endDate).getTime();
+  });
+
+  return units;
+};
+
+/**
+ * Day-by-day status of every unit of a car between two dates
+ * Days are UTC calendar days; a unit is `reserved` on a day when one of its
+ * bookings or checkout holds overlaps that day and `blocked` when the car is
+ * disabled, has an unresolved severe damage report or is in maintenance
+ * @param {Object} car - Car document
+ * @param {Date} from - First day of the calendar
+ * @param {Date} to - Day after the last day of the calendar
+ * @returns {Promise<Array>}
+ */
+const buildAvailabilityCalendar = async (car, from, to) => {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const firstDay = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+
+  const [bookings, holds, damaged, windows] = await Promise.all([
+    findOverlappingBookings(car._id, firstDay, to),
+    findActiveHolds(car._id, firstDay, to),
+    isBlockedByDamage(car._id),
+    findMaintenanceWindows(car._id, firstDay, to)
+  ]);
+
+  // Holds show up as reservations with a `held` status, unit maintenance as `maintenance`
+  const reservations = [
+    ...bookings.map(booking => ({ startDate: booking.startDate, endDate: booking.endDate, status: booking.status })),
+    ...holds.map(hold => ({ startDate: hold.startDate, endDate: hold.endDate, status: 'held' })),
+    ...windows
+      .filter(window => window.unitId)
+      .map(window => ({ startDate: window.startDate, endDate: window.endDate, status: 'maintenance' }))
+  ].sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+  const carWindows = windows.filter(window => !window.unitId);
+  const unitBookings = assignBookingsToUnits(reservations, car.stock);
+
+  const days = [];
+  for (let dayStart = firstDay.getTime(); dayStart < to.getTime(); dayStart += dayMs) {
+    const dayEnd = dayStart + dayMs;
+    const overlapsDay = item =>
+      new Date(item.startDate).getTime() < dayEnd && new Date(item.endDate).getTime() > dayStart;
+    const inMaintenance = carWindows.some(overlapsDay);
+
+    const units = unitBookings.map((assigned, index) => {
+      const unit = { unit: index + 1, status: 'free' };
+
+      if (!car.availability || car.archivedAt || damaged || inMaintenance) {
+        unit.status = 'blocked';
+        return unit;
+      }
+
+      const booking = assigned.find(overlapsDay);
+      if (booking && booking.status === 'maintenance') {
+        unit.status = 'blocked';
+      } else if (booking) {
+        unit.status = 'reserved';
+        unit.bookingStatus = booking.status;
+      }
+      return unit;
+    });
+
+    days.push({
+      date: new Date(dayStart).toISOString().slice(0, 10),
+      free: units.filter(unit => unit.status === 'free').length,
+      reserved: units.filter(unit => unit.status === 'reserved').length,
+      blocked: units.filter(unit => unit.status === 'blocked').length,
+      units
+    });
+  }
+
+  return days;
+};
+
+module.exports = {
+  BLOCKING_STATUSES,
+  MAX_RENTAL_DAYS,
+  parseDateRange,
+  overlapFilter,
+  getPeakUsage,
+  findOverlappingBookings,
+  findActiveHolds,
+  findMaintenanceWindows,
+  isBlockedByDamage,
+  lockCar,
+  getAvailableUnits,
+  getUnitsAtBranch,
+  getUnitsAtBranches,
+  assignBookingsToUnits,
+  buildAvailabilityCalendar
+};
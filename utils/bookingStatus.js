@@ -0,0 +1,76 @@
+// Every status a booking can be in
+const BOOKING_STATUSES = ['pending', 'confirmed', 'active', 'completed', 'cancelled', 'rejected', 'no_show'];
+
+// Allowed status changes: pending -> confirmed -> active (picked up) -> completed,
+// with cancellation, rejection and no-show as terminal exits along the way
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled', 'rejected'],
+  confirmed: ['active', 'cancelled', 'no_show'],
+  active: ['completed'],
+  completed: [],
+  cancelled: [],
+  rejected: [],
+  no_show: []
+};
+
+/**
+ * Whether a booking may move from one status to another
+ * @param {String} from - Current status
+ * @param {String} to - Requested status
+ * @returns {Boolean}
+ */
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Move a booking to a new status and record the change in its history
+ * The booking is not saved; callers save it with the rest of their changes
+ * @param {Object} booking - Booking document
+ * @param {String} to - Requested status
+ * @param {Object} options - { changedBy, note }
+ * @returns {Object} - {} on success or { error, statusCode }: 400 for an unknown
+ *   status, 409 when the booking cannot reach it from its current status
+ */
+const applyStatusChange = (booking, to, options = {}) => {
+  if (!BOOKING_STATUSES.includes(to)) {
+    return { error: `Unknown booking status: ${to}`, statusCode: 400 };
+  }
+
+  const from = booking.status;
+  if (!canTransition(from, to)) {
+    return { error: `Cannot change booking status from ${from} to ${to}`, statusCode: 409 };
+  }
+
+  booking.status = to;
+  // Only save if nobody changed the status in the meantime, otherwise
+  // save() rejects with a DocumentNotFoundError
+  booking.$where = { ...booking.$where, status: from };
+  booking.statusHistory.push({
+    from,
+    to,
+    changedBy: options.changedBy || null,
+    changedAt: new Date(),
+    note: options.note
+  });
+
+  return {};
+};
+
+/**
+ * First history entry of a new booking
+ * @param {String} changedBy - ID of the user creating the booking
+ * @returns {Array}
+ */
+const initialStatusHistory = (changedBy) => [{
+  from: null,
+  to: 'pending',
+  changedBy,
+  changedAt: new Date()
+}];
+
+module.exports = {
+  BOOKING_STATUSES,
+  TRANSITIONS,
+  canTransition,
+  applyStatusChange,
+  initialStatusHistory
+};
@@ -0,0 +1,107 @@
+const Branch = require('../models/Branch');
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Day of the week, calendar day and time of a date in a time zone
+ * @param {Date} date - Instant to convert
+ * @param {String} timezone - IANA time zone
+ * @returns {Object} - { day, dateKey: 'YYYY-MM-DD', time: 'HH:mm' }
+ */
+const getLocalTime = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  return {
+    day: DAY_NAMES.indexOf(parts.weekday),
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+};
+
+/**
+ * Whether a branch is open at a given time
+ * Holiday closures are whole local days; opening periods include their
+ * opening and closing minute
+ * @param {Object} branch - Branch document
+ * @param {Date} date - Instant to check
+ * @returns {Boolean}
+ */
+const isBranchOpen = (branch, date) => {
+  const { day, dateKey, time } = getLocalTime(date, branch.timezone || 'UTC');
+
+  const closedForHoliday = (branch.holidayClosures || []).some(closure =>
+    new Date(closure.date).toISOString().slice(0, 10) === dateKey
+  );
+  if (closedForHoliday) {
+    return false;
+  }
+
+  return (branch.openingHours || []).some(period =>
+    period.day === day && period.open <= time && time <= period.close
+  );
+};
+
+/**
+ * Booking location stored on a booking for a branch
+ * @param {Object} branch - Branch document
+ * @returns {Object} - { address, coordinates: { lat, lng } }
+ */
+const branchLocation = (branch) => ({
+  address: `${branch.name}, ${branch.address}`,
+  coordinates: {
+    lat: branch.location.coordinates[1],
+    lng: branch.location.coordinates[0]
+  }
+});
+
+/**
+ * Load the pickup and dropoff branches of a booking and check that both are
+ * open at the pickup and return times
+ * Pickup defaults to the car's home branch and dropoff to the pickup branch;
+ * cars without a branch can still be booked with free-text locations
+ * @param {Object} options - { car, pickupBranchId, dropoffBranchId, start, end }
+ * @returns {Promise<Object>} - { pickupBranch, dropoffBranch } (both null when
+ *   no branch applies) or { error, statusCode }
+ */
+const resolveBookingBranches = async ({ car, pickupBranchId, dropoffBranchId, start, end }) => {
+  const pickupId = pickupBranchId || car.homeBranch;
+  const dropoffId = dropoffBranchId || pickupId;
+
+  if (!pickupId) {
+    return { pickupBranch: null, dropoffBranch: null };
+  }
+
+  const [pickupBranch, dropoffBranch] = await Promise.all([
+    Branch.findOne({ _id: pickupId, isActive: true }),
+    Branch.findOne({ _id: dropoffId, isActive: true })
+  ]);
+
+  if (!pickupBranch || !dropoffBranch) {
+    return { error: `${pickupBranch ? 'Dropoff' : 'Pickup'} branch not found`, statusCode: 404 };
+  }
+
+  if (!isBranchOpen(pickupBranch, start)) {
+    return { error: `The pickup time is outside the opening hours of ${pickupBranch.name}`, statusCode: 400 };
+  }
+  if (!isBranchOpen(dropoffBranch, end)) {
+    return { error: `The return time is outside the opening hours of ${dropoffBranch.name}`, statusCode: 400 };
+  }
+
+  return { pickupBranch, dropoffBranch };
+};
+
+module.exports = {
+  getLocalTime,
+  isBranchOpen,
+  branchLocation,
+  resolveBookingBranches
+};
@@ -0,0 +1,86 @@
+const CancellationPolicy = require('../models/CancellationPolicy');
+const { roundAmount } = require('./pricing');
+const { getAmountPaid } = require('./payments');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Used when no policy has been configured: free before pickup, no refund after
+const FALLBACK_POLICY = {
+  name: 'Standard',
+  freeCancellationHours: 0,
+  lateCancellationFeePercent: 0
+};
+
+/**
+ * Policy applied to cancellations
+ * @returns {Promise<Object>} - The default active policy or the fallback policy
+ */
+const getCancellationPolicy = async () => {
+  const policy = await CancellationPolicy.findOne({ isDefault: true, isActive: true });
+  return policy || FALLBACK_POLICY;
+};
+
+/**
+ * Fee and refund for cancelling a booking at a given time
+ * Only money already collected is refunded; an unpaid booking gets no refund
+ * @param {Object} booking - Booking document
+ * @param {Object} policy - Cancellation policy
+ * @param {Date} cancelledAt - Moment of the cancellation
+ * @returns {Object} - { hoursBeforePickup, feePercent, feeAmount, refundAmount }
+ */
+const calculateRefund = (booking, policy, cancelledAt = new Date()) => {
+  const hoursBeforePickup = (new Date(booking.startDate) - cancelledAt) / HOUR_MS;
+
+  let feePercent;
+  if (hoursBeforePickup <= 0) {
+    feePercent = 100;
+  } else if (hoursBeforePickup >= policy.freeCancellationHours) {
+    feePercent = 0;
+  } else {
+    feePercent = policy.lateCancellationFeePercent;
+  }
+
+  const feeAmount = roundAmount(booking.totalAmount * feePercent / 100);
+  const amountPaid = getAmountPaid(booking);
+
+  return {
+    hoursBeforePickup: Math.round(hoursBeforePickup * 10) / 10,
+    feePercent,
+    feeAmount,
+    refundAmount: roundAmount(Math.max(amountPaid - feeAmount, 0))
+  };
+};
+
+/**
+ * Record the cancellation terms on a booking and update its payment status
+ * The booking is not saved; callers save it with the status change
+ * @param {Object} booking - Booking document
+ * @param {Object} policy - Cancellation policy
+ * @param {String} cancelledBy - ID of the user cancelling
+ * @returns {Object} - The recorded cancellation
+ */
+const applyCancellation = (booking, policy, cancelledBy) => {
+  const cancelledAt = new Date();
+  const refund = calculateRefund(booking, policy, cancelledAt);
+
+  booking.cancellation = {
+    policyId: policy._id,
+    policyName: policy.name,
+    cancelledAt,
+    cancelledBy,
+    ...refund
+  };
+
+  if (booking.paymentStatus === 'paid' && refund.refundAmount > 0) {
+    booking.paymentStatus = refund.refundAmount >= getAmountPaid(booking) ? 'refunded' : 'partially_refunded';
+  }
+
+  return booking.cancellation;
+};
+
+module.exports = {
+  FALLBACK_POLICY,
+  getCancellationPolicy,
+  calculateRefund,
+  applyCancellation
+};
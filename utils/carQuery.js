@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+
+// List filters matching one of several comma separated values
+const LIST_FILTERS = ['category', 'type', 'transmission', 'fuelType'];
+
+// Numeric range filters: query parameter -> [field, operator]
+const RANGE_FILTERS = {
+  minSeats: ['seats', '$gte'],
+  maxSeats: ['seats', '$lte'],
+  minPrice: ['pricePerDay', '$gte'],
+  maxPrice: ['pricePerDay', '$lte'],
+  minRating: ['rating', '$gte']
+};
+
+const SORTABLE_FIELDS = ['pricePerDay', 'rating', 'numberOfReviews', 'year', 'seats', 'mileage', 'name', 'createdAt'];
+
+// Fields that can never be selected by clients
+const HIDDEN_FIELDS = ['reservationVersion'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Split a comma separated query value, also accepting repeated parameters
+const splitList = (value) =>
+  [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+/**
+ * Mongo filter for the catalogue filters of GET /api/cars
+ * @param {Object} query - Request query
+ * @returns {Object} - { filter } or { error }
+ */
+const buildCarFilter = (query) => {
+  const filter = {};
+
+  LIST_FILTERS.forEach(field => {
+    if (query[field]) {
+      filter[field] = { $in: splitList(query[field]) };
+    }
+  });
+
+  for (const [param, [field, operator]] of Object.entries(RANGE_FILTERS)) {
+    if (query[param] === undefined || query[param] === '') {
+      continue;
+    }
+    const value = Number(query[param]);
+    if (isNaN(value)) {
+      return { error: `${param} must be a number` };
+    }
+    filter[field] = { ...filter[field], [operator]: value };
+  }
+
+  // Cars offering every requested feature
+  if (query.features) {
+    filter.features = { $all: splitList(query.features) };
+  }
+
+  return { filter };
+};
+
+/**
+ * Sort specification from e.g. `pricePerDay,-rating`
+ * _id is always added last so the order is stable for pagination. Text
+ * searches default to the most relevant cars first.
+ * @param {String} sort - Comma separated fields, `-` for descending
+ * @param {Object} options - { textSearch }
+ * @returns {Object} - { sort: [[field, 1|-1 or { $meta }], ...] } or { error }
+ */
+const parseSort = (sort, options = {}) => {
+  if (!sort && options.textSearch) {
+    return { sort: [['score', { $meta: 'textScore' }], ['_id', 1]] };
+  }
+
+  const fields = sort ? splitList(sort) : ['-createdAt'];
+  const spec = [];
+
+  for (const item of fields) {
+    const direction = item.startsWith('-') ? -1 : 1;
+    const field = item.replace(/^[-+]/, '');
+    if (!SORTABLE_FIELDS.includes(field)) {
+      return { error: `Cannot sort by ${field}. Sortable fields: ${SORTABLE_FIELDS.join(', ')}` };
+    }
+    spec.push([field, direction]);
+  }
+
+  spec.push(['_id', 1]);
+  return { sort: spec };
+};
+
+/**
+ * Projection from e.g. `name,pricePerDay,photos`
+ * @param {String} fields - Comma separated field names
+ * @param {Object} schema - Car schema, to reject unknown fields
+ * @returns {Object} - { select } (undefined for all fields) or { error }
+ */
+const parseFields = (fields, schema) => {
+  if (!fields) {
+    return { select: undefined };
+  }
+
+  const selected = splitList(fields);
+  const unknown = selected.filter(field => !schema.path(field) || HIDDEN_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return { error: `Unknown fields: ${unknown.join(', ')}` };
+  }
+
+  return { select: selected.join(' ') };
+};
+
+/**
+ * Page size from the limit query parameter
+ * @returns {Object} - { limit } or { error }
+ */
+const parseLimit = (limit) => {
+  if (limit === undefined) {
+    return { limit: DEFAULT_LIMIT };
+  }
+  const value = parseInt(limit);
+  if (isNaN(value) || value < 1 || value > MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+  return { limit: value };
+};
+
+// Cursors are opaque to clients: the sort values and _id of the last car of a page
+const encodeCursor = (car, sort) =>
+  Buffer.from(JSON.stringify(sort.map(([field]) => car[field]))).toString('base64url');
+
+/**
+ * Filter selecting the cars after a cursor in the given sort order
+ * For sort a, -b it matches a > x, or a = x and b < y, or a = x, b = y and _id > id
+ * @param {String} cursor - Cursor returned with the previous page
+ * @param {Array} sort - Parsed sort specification
+ * @returns {Object} - { filter } or { error }
+ */
+const cursorFilter = (cursor, sort) => {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (error) {
+    return { error: 'Invalid cursor' };
+  }
+
+  if (!Array.isArray(values) || values.length !== sort.length || !mongoose.isValidObjectId(values[values.length - 1])) {
+    return { error: 'Invalid cursor' };
+  }
+
+  // Dates and ObjectIds come back as strings from JSON
+  const typed = sort.map(([field], index) => {
+    if (field === '_id') return new mongoose.Types.ObjectId(values[index]);
+    if (field === 'createdAt') return new Date(values[index]);
+    return values[index];
+  });
+
+  const conditions = sort.map(([field, direction], index) => {
+    const condition = {};
+    sort.slice(0, index).forEach(([previous], previousIndex) => {
+      condition[previous] = typed[previousIndex];
+    });
+    condition[field] = { [direction === 1 ? '$gt' : '$lt']: typed[index] };
+    return condition;
+  });
+
+  return { filter: { $or: conditions } };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  buildCarFilter,
+  parseSort,
+  parseFields,
+  parseLimit,
+  encodeCursor,
+  cursorFilter
+};
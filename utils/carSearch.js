@@ -0,0 +1,163 @@
+// Text index weights: matches in the name count most, the description least
+const TEXT_INDEX_WEIGHTS = {
+  name: 10,
+  brand: 8,
+  model: 8,
+  features: 3,
+  description: 1
+};
+
+const DEFAULT_SUGGESTIONS = 8;
+const MAX_SUGGESTIONS = 20;
+// Longest search prefix accepted; scoring grows with the square of its length
+const MAX_SUGGESTION_QUERY_LENGTH = 50;
+
+// Lowercase, strip accents and collapse whitespace
+const normalize = (text) =>
+  String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of
+ * two neighbouring characters (optimal string alignment)
+ * @param {String} a
+ * @param {String} b
+ * @param {Number} maxDistance - Stop early once the distance is known to exceed this
+ * @returns {Number} - The distance, or maxDistance + 1 when it is larger
+ */
+const editDistance = (a, b, maxDistance = Infinity) => {
+  // Each missing or extra character costs one edit
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+
+  let previousRowMin = 0;
+  for (let i = 1; i <= a.length; i++) {
+    rows.push([i]);
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, rows[i][j]);
+    }
+    // Every later cell builds on one of the last two rows and never gets smaller
+    if (Math.min(rowMin, previousRowMin) > maxDistance) {
+      return maxDistance + 1;
+    }
+    previousRowMin = rowMin;
+  }
+
+  return Math.min(rows[a.length][b.length], maxDistance + 1);
+};
+
+// Typos allowed for a query of this length, none for very short prefixes
+const allowedTypos = (length) => {
+  if (length < 3) return 0;
+  if (length < 6) return 1;
+  return 2;
+};
+
+/**
+ * Smallest edit distance between the query and a prefix of the text starting
+ * at a word boundary, so "mod" matches "Tesla Model 3"
+ * @param {String} text - Normalized candidate
+ * @param {String} query - Normalized query
+ * @param {Number} maxDistance - Distances above this are not worked out exactly
+ * @returns {Object} - { distance, atStart }
+ */
+const prefixDistance = (text, query, maxDistance = Infinity) => {
+  let best = { distance: Infinity, atStart: false };
+
+  for (let position = 0; position < text.length; position++) {
+    if (position > 0 && text[position - 1] !== ' ') {
+      continue;
+    }
+    // Compare against prefixes one character shorter or longer to absorb a missing or extra letter
+    for (let length = query.length - 1; length <= query.length + 1; length++) {
+      if (length < 1) continue;
+      const distance = editDistance(text.substr(position, length), query, maxDistance);
+      if (distance < best.distance) {
+        best = { distance, atStart: position === 0 };
+      }
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Autocomplete suggestions for a search prefix, tolerating typos
+ * Exact prefixes rank first, then fewer typos, matches at the start of the
+ * suggestion and suggestions matching more cars
+ * @param {Array} cars - Cars with name, brand and model, optionally grouped with a count
+ * @param {String} q - What the customer typed so far
+ * @param {Number} limit - Maximum number of suggestions
+ * @returns {Array} - [{ text, type, count }]
+ */
+const suggestCars = (cars, q, limit = DEFAULT_SUGGESTIONS) => {
+  const query = normalize(q);
+  if (!query) {
+    return [];
+  }
+
+  // Brands, brand + model pairs and car names, counted over the catalogue
+  const candidates = new Map();
+  const addCandidate = (text, type, count) => {
+    const normalized = normalize(text);
+    if (!normalized) return;
+    const key = `${type}:${normalized}`;
+    const candidate = candidates.get(key) || { text, normalized, type, count: 0 };
+    candidate.count += count;
+    candidates.set(key, candidate);
+  };
+  cars.forEach(car => {
+    const count = car.count || 1;
+    addCandidate(car.brand, 'brand', count);
+    addCandidate(`${car.brand} ${car.model}`, 'model', count);
+    addCandidate(car.name, 'name', count);
+  });
+
+  const maxTypos = allowedTypos(query.length);
+
+  const seen = new Set();
+  return [...candidates.values()]
+    .map(candidate => ({ ...candidate, ...prefixDistance(candidate.normalized, query, maxTypos) }))
+    .filter(candidate => candidate.distance <= maxTypos)
+    .sort((a, b) =>
+      a.distance - b.distance ||
+      Number(b.atStart) - Number(a.atStart) ||
+      b.count - a.count ||
+      a.text.length - b.text.length
+    )
+    // A name equal to its brand + model adds nothing
+    .filter(candidate => {
+      if (seen.has(candidate.normalized)) return false;
+      seen.add(candidate.normalized);
+      return true;
+    })
+    .slice(0, limit)
+    .map(({ text, type, count }) => ({ text, type, count }));
+};
+
+module.exports = {
+  TEXT_INDEX_WEIGHTS,
+  DEFAULT_SUGGESTIONS,
+  MAX_SUGGESTIONS,
+  MAX_SUGGESTION_QUERY_LENGTH,
+  normalize,
+  editDistance,
+  suggestCars
+};
@@ -0,0 +1,15 @@
+const nodemailer = require('nodemailer');
+
+// Create email transporter with Mailtrap
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: process.env.SMTP_PORT,
+  auth: {
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  }
+});
+
+module.exports = {
+  transporter
+};
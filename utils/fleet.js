@@ -0,0 +1,119 @@
+const Car = require('../models/Car');
+const Booking = require('../models/Booking');
+const Vehicle = require('../models/Vehicle');
+const { BLOCKING_STATUSES, overlapFilter, findMaintenanceWindows } = require('./availability');
+
+/**
+ * Units of a car that are in service, not in maintenance and not assigned to another booking in the period
+ * @param {String} carId - Car ID
+ * @param {Date} start - Start of the period
+ * @param {Date} end - End of the period
+ * @param {Object} options - { excludeBookingId, onSite, branchId, session }
+ *   onSite: only units currently on the lot (status available), e.g. at checkout
+ *   branchId: only units parked at this branch (or not tied to one)
+ * @returns {Promise<Array>} - Vehicle documents, least driven first
+ */
+const findFreeUnits = async (carId, start, end, options = {}) => {
+  const statusFilter = options.onSite
+    ? 'available'
+    : { $nin: Vehicle.OUT_OF_SERVICE_STATUSES };
+
+  const unitFilter = { carId, status: statusFilter };
+  if (options.branchId) {
+    unitFilter.currentBranch = { $in: [options.branchId, null] };
+  }
+
+  const units = await Vehicle.find(unitFilter)
+    .sort('mileage')
+    .session(options.session || null);
+
+  if (units.length === 0) {
+    return units;
+  }
+
+  const filter = {
+    unitId: { $in: units.map(unit => unit._id) },
+    status: { $in: BLOCKING_STATUSES },
+    ...overlapFilter(start, end)
+  };
+  if (options.excludeBookingId) {
+    filter._id = { $ne: options.excludeBookingId };
+  }
+
+  const [busy, windows] = await Promise.all([
+    Booking.distinct('unitId', filter).session(options.session || null),
+    findMaintenanceWindows(carId, start, end, options)
+  ]);
+
+  // A window without a unit covers the whole car
+  if (windows.some(window => !window.unitId)) {
+    return [];
+  }
+
+  const busyIds = new Set([...busy, ...windows.map(window => window.unitId)].map(id => id.toString()));
+
+  return units.filter(unit => !busyIds.has(unit._id.toString()));
+};
+
+/**
+ * Assign a physical unit to a booking
+ * The booking is not saved; callers save it with the rest of their changes
+ * @param {Object} booking - Booking document
+ * @param {Object} options - { unitId, onSite, branchId, session }
+ *   unitId: unit requested by the admin, otherwise the least driven free unit is picked
+ * @returns {Promise<Object>} - { unit } or { error, statusCode }
+ */
+const assignUnit = async (booking, options = {}) => {
+  const freeUnits = await findFreeUnits(booking.vehicleId, booking.startDate, booking.endDate, {
+    excludeBookingId: booking._id,
+    onSite: options.onSite,
+    branchId: options.branchId,
+    session: options.session
+  });
+
+  let unit;
+  if (options.unitId) {
+    unit = freeUnits.find(candidate => candidate._id.toString() === options.unitId.toString());
+    if (!unit) {
+      const exists = await Vehicle.exists({ _id: options.unitId, carId: booking.vehicleId });
+      return exists
+        ? { error: 'This vehicle is out of service or assigned to another booking in this period', statusCode: 409 }
+        : { error: 'Vehicle not found for this car', statusCode: 404 };
+    }
+  } else {
+    unit = freeUnits[0];
+    if (!unit) {
+      return { error: 'No vehicle of this car is free for the booking period', statusCode: 409 };
+    }
+  }
+
+  booking.unitId = unit._id;
+  return { unit };
+};
+
+/**
+ * Keep Car.stock equal to the number of units in service
+ * Cars without registered units keep their manually managed stock
+ * @param {String} carId - Car ID
+ * @param {Object} options - { session }
+ */
+const syncCarStock = async (carId, options = {}) => {
+  const session = options.session || null;
+  const total = await Vehicle.countDocuments({ carId }).session(session);
+  if (total === 0) {
+    return;
+  }
+
+  const inService = await Vehicle.countDocuments({
+    carId,
+    status: { $nin: Vehicle.OUT_OF_SERVICE_STATUSES }
+  }).session(session);
+
+  await Car.updateOne({ _id: carId }, { stock: inService }, { session });
+};
+
+module.exports = {
+  findFreeUnits,
+  assignUnit,
+  syncCarStock
+};
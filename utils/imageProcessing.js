@@ -0,0 +1,209 @@
+const sharp = require('sharp');
+const fs = require('fs');
+const storage = require('./storage');
+
+// Longest edge of each WebP variant; smaller originals are never enlarged
+const PHOTO_VARIANTS = {
+  thumbnail: 320,
+  medium: 800,
+  large: 1600
+};
+
+const WEBP_QUALITY = parseInt(process.env.WEBP_QUALITY) || 80;
+
+// Refuse decompression bombs: images above this many pixels are rejected
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+// Truncated files otherwise decode as a partly grey image or fail mid-resize
+const SHARP_INPUT_OPTIONS = { limitInputPixels: MAX_INPUT_PIXELS, failOn: 'truncated' };
+
+/**
+ * Detect the image format from the first bytes of a file, ignoring its
+ * name and the mimetype sent by the client
+ * @param {Buffer} header - At least the first 12 bytes of the file
+ * @returns {String|null} - jpeg, png, webp, gif, heic or avif, null for anything else
+ */
+const sniffImageType = (header) => {
+  if (header.length < 12) {
+    return null;
+  }
+  if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  if (header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  if (['GIF87a', 'GIF89a'].includes(header.toString('ascii', 0, 6))) {
+    return 'gif';
+  }
+  // ISO base media files (HEIC photos from phones, AVIF) carry their brand after "ftyp"
+  if (header.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = header.toString('ascii', 8, 12);
+    if (['avif', 'avis'].includes(brand)) {
+      return 'avif';
+    }
+    if (['heic', 'heix', 'hevc', 'hevx', 'mif1', 'msf1'].includes(brand)) {
+      return 'heic';
+    }
+  }
+  return null;
+};
+
+// Read the first bytes of a file
+const readHeader = (filePath, length = 16) => {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const header = Buffer.alloc(length);
+    const bytesRead = fs.readSync(fd, header, 0, length, 0);
+    return header.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+/**
+ * Check that an uploaded file really is an image sharp can decode
+ * @param {String} filePath - Uploaded file
+ * @returns {Promise<Object>} - { format } or { error }
+ */
+const validateImage = async (filePath) => {
+  const format = sniffImageType(readHeader(filePath));
+  if (!format) {
+    return { error: 'Only JPEG, PNG, WebP, GIF and AVIF images are allowed' };
+  }
+  // libvips is built without the HEVC decoder
+  if (format === 'heic') {
+    return { error: 'HEIC photos are not supported, please upload them as JPEG' };
+  }
+
+  try {
+    const metadata = await sharp(filePath, SHARP_INPUT_OPTIONS).metadata();
+    if (!metadata.width || !metadata.height) {
+      return { error: 'The image could not be read' };
+    }
+    // Metadata only reads the header; decode every pixel to catch damaged data
+    await sharp(filePath, SHARP_INPUT_OPTIONS).stats();
+  } catch (error) {
+    return { error: 'The image is corrupted or too large' };
+  }
+
+  return { format };
+};
+
+/**
+ * Resize an uploaded photo into WebP variants and store them
+ * The photo is rotated according to its EXIF orientation first; sharp then
+ * writes the variants without any metadata, which drops EXIF and GPS data.
+ * @param {String} filePath - Validated upload
+ * @param {String} dirName - Storage directory for the variants
+ * @param {String} baseName - File name prefix shared by the variants
+ * @returns {Promise<Object>} - { variants: { thumbnail, medium, large }, width, height }
+ *   with the storage keys of the variants
+ * @throws {Error} - Named ImageDecodeError when sharp cannot decode the photo,
+ *   any other error comes from storage
+ */
+const createPhotoVariants = async (filePath, dirName, baseName) => {
+  const variants = {};
+  let largeInfo = null;
+
+  try {
+    for (const [variant, size] of Object.entries(PHOTO_VARIANTS)) {
+      let output;
+      try {
+        output = await sharp(filePath, SHARP_INPUT_OPTIONS)
+          .rotate()
+          .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+          .webp({ quality: WEBP_QUALITY })
+          .toBuffer({ resolveWithObject: true });
+      } catch (sharpError) {
+        const error = new Error('The image is corrupted or too large');
+        error.name = 'ImageDecodeError';
+        throw error;
+      }
+      const { data, info } = output;
+
+      variants[variant] = await storage.saveBuffer(
+        storage.joinKey(dirName, `${baseName}-${variant}.webp`),
+        data,
+        { contentType: 'image/webp' }
+      );
+      if (variant === 'large') {
+        largeInfo = info;
+      }
+    }
+  } catch (error) {
+    await storage.removeFiles(Object.values(variants));
+    throw error;
+  }
+
+  return {
+    variants,
+    width: largeInfo.width,
+    height: largeInfo.height
+  };
+};
+
+/**
+ * Validate uploaded photos and turn each into a set of stored WebP variants
+ * Uploads are removed once processed; nothing is stored unless every photo is valid
+ * @param {Array} files - Multer files
+ * @param {String} dirName - Storage directory for the variants
+ * @returns {Promise<Object>} - { photos } or { error } for an invalid photo
+ * @throws {Error} - When a variant cannot be stored; stored variants are removed
+ */
+const processPhotos = async (files = [], dirName) => {
+  const photos = [];
+  let file;
+  try {
+    for (file of files) {
+      const { error } = await validateImage(file.path);
+      if (error) {
+        return { error: `${file.originalname}: ${error}` };
+      }
+    }
+
+    for (file of files) {
+      const baseName = 'photo-' + Date.now() + '-' + Math.round(Math.random() * 1E9);
+      photos.push(await createPhotoVariants(file.path, dirName, baseName));
+    }
+  } catch (error) {
+    await storage.removeFiles(photos.flatMap(photoPaths));
+    if (error.name === 'ImageDecodeError') {
+      return { error: `${file.originalname}: ${error.message}` };
+    }
+    throw error;
+  } finally {
+    files.forEach(upload => {
+      if (fs.existsSync(upload.path)) {
+        fs.unlinkSync(upload.path);
+      }
+    });
+  }
+
+  return { photos };
+};
+
+/**
+ * Storage keys of every variant of a photo
+ * @param {Object} photo - Car photo subdocument or plain object
+ * @returns {Array}
+ */
+const photoPaths = (photo) => {
+  const variants = photo && photo.variants;
+  if (!variants) {
+    return [];
+  }
+  return Object.values(variants.toObject ? variants.toObject() : variants).filter(Boolean);
+};
+
+module.exports = {
+  PHOTO_VARIANTS,
+  sniffImageType,
+  validateImage,
+  createPhotoVariants,
+  processPhotos,
+  photoPaths
+};
@@ -0,0 +1,105 @@
+const Car = require('../models/Car');
+const Vehicle = require('../models/Vehicle');
+const User = require('../models/User');
+const { transporter } = require('./email');
+
+// Default km between two services for cars without their own interval
+const SERVICE_INTERVAL_KM = parseInt(process.env.SERVICE_INTERVAL_KM) || 15000;
+
+/**
+ * Whether the mileage went past a service interval since the previous reading
+ * Intervals count from the last service, so an overdue car is reminded again
+ * at every further interval
+ * @param {Number} lastServiceMileage - Mileage at the last service
+ * @param {Number} interval - Km between services
+ * @param {Number} previousMileage - Earlier reading
+ * @param {Number} mileage - New reading
+ * @returns {Boolean}
+ */
+const crossesServiceInterval = (lastServiceMileage, interval, previousMileage, mileage) =>
+  Math.floor((mileage - lastServiceMileage) / interval) > Math.floor((previousMileage - lastServiceMileage) / interval);
+
+// Tell the fleet managers a car or unit needs a service
+const sendServiceReminder = async (car, unit, mileage) => {
+  const admins = await User.find({ role: 'admin' }).select('email');
+  if (admins.length === 0) {
+    return;
+  }
+
+  const vehicleName = unit ? `${car.name} (${unit.licensePlate})` : car.name;
+
+  await transporter.sendMail({
+    from: process.env.SMTP_FROM,
+    to: admins.map(admin => admin.email).join(', '),
+    subject: `Service due: ${vehicleName} - RentCar`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #333;">Service due</h1>
+        <p>${vehicleName} was checked in at ${mileage} km and has passed its service interval.</p>
+        <p>Please schedule a maintenance window for it.</p>
+        <hr style="margin: 20px 0;">
+        <p style="color: #666; font-size: 12px;">This is an automated message, please do not reply.</p>
+      </div>
+    `
+  });
+};
+
+/**
+ * Flag the car or unit as due for a service and remind the admins when a
+ * check-in reading crosses the service interval
+ * Reminder emails are best effort and never fail the check-in
+ * @param {Object} options - { car, unit, previousMileage, mileage }
+ * @returns {Promise<Boolean>} - Whether a service is now due
+ */
+const remindIfServiceDue = async ({ car, unit, previousMileage, mileage }) => {
+  const target = unit || car;
+  const interval = car.serviceIntervalKm || SERVICE_INTERVAL_KM;
+
+  if (!crossesServiceInterval(target.lastServiceMileage || 0, interval, previousMileage, mileage)) {
+    return false;
+  }
+
+  const Model = unit ? Vehicle : Car;
+  await Model.updateOne({ _id: target._id, serviceDueSince: null }, { serviceDueSince: new Date() });
+
+  try {
+    await sendServiceReminder(car, unit, mileage);
+  } catch (error) {
+    console.error('Error sending service reminder:', error.message);
+  }
+
+  return true;
+};
+
+/**
+ * Record a completed service on the car or unit, which restarts its interval
+ * A service of the whole car restarts the interval of each of its units at
+ * their own mileage
+ * @param {Object} window - Completed maintenance window
+ * @param {Number} odometer - Reading at the service, for a single unit or a car without units
+ */
+const recordService = async (window, odometer) => {
+  const serviced = {
+    $set: { lastServiceMileage: odometer },
+    $max: { mileage: odometer },
+    $unset: { serviceDueSince: 1 }
+  };
+
+  if (window.unitId) {
+    await Vehicle.updateOne({ _id: window.unitId }, serviced);
+    return;
+  }
+
+  await Car.updateOne({ _id: window.carId }, serviced);
+  await Vehicle.updateMany({ carId: window.carId }, [
+    { $set: { lastServiceMileage: '$mileage' } },
+    { $unset: 'serviceDueSince' }
+  ]);
+};
+
+module.exports = {
+  SERVICE_INTERVAL_KM,
+  crossesServiceInterval,
+  remindIfServiceDue,
+  recordService
+};
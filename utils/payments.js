@@ -0,0 +1,38 @@
+const { roundAmount } = require('./pricing');
+
+/**
+ * Money collected for a booking
+ * Bookings paid before payments were recorded count their total as paid
+ * @param {Object} booking - Booking document
+ * @returns {Number}
+ */
+const getAmountPaid = (booking) => {
+  if (booking.amountPaid != null) {
+    return booking.amountPaid;
+  }
+  return booking.paymentStatus === 'paid' ? booking.totalAmount : 0;
+};
+
+/**
+ * Record a succeeded Stripe payment intent on a booking and mark it paid
+ * The confirm call and the webhook both report the same intent; it is counted once.
+ * The booking is not saved.
+ * @param {Object} booking - Booking document
+ * @param {Object} paymentIntent - Stripe payment intent
+ */
+const recordPayment = (booking, paymentIntent) => {
+  if (booking.payments.some(payment => payment.paymentIntentId === paymentIntent.id)) {
+    return;
+  }
+
+  // Stripe amounts are in cents
+  const amount = roundAmount(paymentIntent.amount_received / 100);
+  booking.payments.push({ paymentIntentId: paymentIntent.id, amount });
+  booking.amountPaid = roundAmount(getAmountPaid(booking) + amount);
+  booking.paymentStatus = 'paid';
+};
+
+module.exports = {
+  getAmountPaid,
+  recordPayment
+};
@@ -0,0 +1,323 @@
+const mongoose = require('mongoose');
+const AdditionalService = require('../models/AdditionalService');
+const PricingRule = require('../models/PricingRule');
+const OneWayFee = require('../models/OneWayFee');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pricing settings, configurable per deployment
+const TAX_RATE = parseFloat(process.env.TAX_RATE) || 0;
+const BOOKING_FEE = parseFloat(process.env.BOOKING_FEE) || 0;
+const CURRENCY = process.env.CURRENCY || 'usd';
+// Fee for one-way routes missing from the fee matrix; unset means those routes are not offered
+const ONE_WAY_DEFAULT_FEE = process.env.ONE_WAY_DEFAULT_FEE !== undefined && process.env.ONE_WAY_DEFAULT_FEE !== ''
+  ? parseFloat(process.env.ONE_WAY_DEFAULT_FEE)
+  : null;
+
+/**
+ * Round an amount to cents
+ * @param {Number} amount
+ * @returns {Number}
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Number of billable days in a rental, any started day counts as a full day
+ * @param {Date} start - Pickup date
+ * @param {Date} end - Return date
+ * @returns {Number}
+ */
+const getRentalDays = (start, end) => Math.max(Math.ceil((end - start) / DAY_MS), 1);
+
+/**
+ * Accept service IDs either as plain strings or as { serviceId } objects
+ * @param {Array} additionalServices - Services selected by the client
+ * @returns {Array} - Service IDs as strings
+ */
+const normalizeServiceIds = (additionalServices) => {
+  if (!Array.isArray(additionalServices)) {
+    return [];
+  }
+
+  return additionalServices
+    .map(service => (service && typeof service === 'object' ? service.serviceId || service._id : service))
+    .filter(Boolean)
+    .map(id => id.toString());
+};
+
+/**
+ * Load the active additional services selected for a booking
+ * @param {Array} additionalServices - Service IDs or { serviceId } objects
+ * @returns {Promise<Object>} - { services } on success or { error } with a message
+ */
+const resolveServices = async (additionalServices) => {
+  const serviceIds = [...new Set(normalizeServiceIds(additionalServices))];
+  if (serviceIds.length === 0) {
+    return { services: [] };
+  }
+
+  if (serviceIds.some(id => !mongoose.isValidObjectId(id))) {
+    return { error: 'Invalid additional service ID format' };
+  }
+
+  const services = await AdditionalService.find({ _id: { $in: serviceIds }, isActive: true });
+  if (services.length !== serviceIds.length) {
+    return { error: 'One or more additional services are not available' };
+  }
+
+  return { services };
+};
+
+/**
+ * Snapshot of the selected services as stored on a booking
+ * @param {Array} services - AdditionalService documents
+ * @returns {Array}
+ */
+const toBookingServices = (services) => services.map(service => ({
+  serviceId: service._id,
+  name: service.name,
+  price: service.price
+}));
+
+/**
+ * UTC midnight of the n-th rental day
+ */
+const getRentalDay = (start, index) => {
+  const day = new Date(start.getTime() + index * DAY_MS);
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+};
+
+/**
+ * Whether a rule's optional date window covers a day
+ */
+const coversDay = (rule, day) =>
+  (!rule.startDate || new Date(rule.startDate) <= day) && (!rule.endDate || new Date(rule.endDate) >= day);
+
+/**
+ * Highest priority rule among candidates, or undefined
+ */
+const pickRule = (rules) =>
+  rules.slice().sort((a, b) => (b.priority || 0) - (a.priority || 0))[0];
+
+/**
+ * Keep the active rules that apply to the category of a car
+ * @param {Array} rules - PricingRule documents
+ * @param {Object} car - Car document
+ * @returns {Array}
+ */
+const filterRulesForCar = (rules, car) => rules.filter(rule =>
+  rule.isActive !== false &&
+  (!rule.categories || rule.categories.length === 0 || rule.categories.includes(car.category))
+);
+
+/**
+ * Add an amount to the line item of a rule, creating the item on first use
+ */
+const addRuleAmount = (itemsByRule, rule, type, amount) => {
+  const key = rule._id.toString();
+  if (!itemsByRule.has(key)) {
+    itemsByRule.set(key, {
+      type,
+      label: rule.name,
+      ruleId: rule._id,
+      quantity: 0,
+      amount: 0
+    });
+  }
+  const item = itemsByRule.get(key);
+  item.quantity += 1;
+  item.amount += amount;
+};
+
+/**
+ * Itemized price of a rental
+ * Each day starts from the car's daily price or a category override, then
+ * season multipliers and weekend surcharges are added on top. A long rental
+ * discount applies to the rental part only. Services are charged per rental
+ * day, the booking and one-way fees once, and tax applies to everything else
+ * on the quote.
+ * @param {Object} params - { car, start, end, services, rules, oneWayFee }
+ *   oneWayFee: { label, amount } when the car is returned to another branch
+ * @returns {Object} - Price breakdown as stored on the booking
+ */
+const buildQuote = ({ car, start, end, services = [], rules = [], oneWayFee = null }) => {
+  const days = getRentalDays(start, end);
+  const carRules = filterRulesForCar(rules, car);
+  const rulesOfType = type => carRules.filter(rule => rule.type === type);
+
+  // Base rental, grouped by daily rate so overrides show as separate lines
+  const rentalByRate = new Map();
+  const adjustments = new Map();
+
+  for (let index = 0; index < days; index++) {
+    const day = getRentalDay(start, index);
+
+    let rate = car.pricePerDay;
+    const override = pickRule(rulesOfType('category_override').filter(rule => coversDay(rule, day)));
+    if (override) {
+      rate = override.pricePerDay != null ? override.pricePerDay : car.pricePerDay * override.multiplier;
+    }
+    rentalByRate.set(rate, (rentalByRate.get(rate) || 0) + 1);
+
+    const season = pickRule(rulesOfType('season').filter(rule => coversDay(rule, day)));
+    if (season) {
+      addRuleAmount(adjustments, season, 'surcharge', rate * (season.multiplier - 1));
+    }
+
+    const weekend = pickRule(rulesOfType('weekend_surcharge').filter(rule =>
+      coversDay(rule, day) && (rule.weekendDays || [0, 6]).includes(day.getUTCDay())
+    ));
+    if (weekend) {
+      addRuleAmount(adjustments, weekend, 'surcharge', rate * weekend.percentage / 100);
+    }
+  }
+
+  const items = [];
+
+  rentalByRate.forEach((quantity, rate) => {
+    items.push({
+      type: 'rental',
+      label: `${car.name} rental`,
+      quantity,
+      unitPrice: rate,
+      amount: roundAmount(rate * quantity)
+    });
+  });
+
+  adjustments.forEach(item => {
+    item.amount = roundAmount(item.amount);
+    items.push(item);
+  });
+
+  // Best long rental discount the rental length qualifies for
+  const discount = rulesOfType('long_rental_discount')
+    .filter(rule => days >= rule.minDays && coversDay(rule, getRentalDay(start, 0)))
+    .sort((a, b) => b.percentage - a.percentage)[0];
+  if (discount) {
+    const rentalTotal = items.reduce((sum, item) => sum + item.amount, 0);
+    items.push({
+      type: 'discount',
+      label: discount.name,
+      ruleId: discount._id,
+      quantity: 1,
+      unitPrice: -roundAmount(rentalTotal * discount.percentage / 100),
+      amount: -roundAmount(rentalTotal * discount.percentage / 100)
+    });
+  }
+
+  services.forEach(service => {
+    items.push({
+      type: 'service',
+      label: service.name,
+      serviceId: service._id,
+      quantity: days,
+      unitPrice: service.price,
+      amount: roundAmount(service.price * days)
+    });
+  });
+
+  if (BOOKING_FEE > 0) {
+    items.push({
+      type: 'fee',
+      label: 'Booking fee',
+      quantity: 1,
+      unitPrice: BOOKING_FEE,
+      amount: roundAmount(BOOKING_FEE)
+    });
+  }
+
+  if (oneWayFee) {
+    items.push({
+      type: 'fee',
+      label: oneWayFee.label,
+      quantity: 1,
+      unitPrice: oneWayFee.amount,
+      amount: roundAmount(oneWayFee.amount)
+    });
+  }
+
+  const subtotal = roundAmount(items.reduce((sum, item) => sum + item.amount, 0));
+  const tax = roundAmount(subtotal * TAX_RATE);
+
+  return {
+    currency: CURRENCY,
+    days,
+    items,
+    subtotal,
+    taxRate: TAX_RATE,
+    tax,
+    total: roundAmount(subtotal + tax)
+  };
+};
+
+/**
+ * One-way fee for returning a car to another branch, from the fee matrix
+ * @param {Object} pickupBranch - Branch document
+ * @param {Object} dropoffBranch - Branch document
+ * @returns {Promise<Object>} - { oneWayFee } (null for a round trip) or { error }
+ */
+const findOneWayFee = async (pickupBranch, dropoffBranch) => {
+  if (!pickupBranch || !dropoffBranch || pickupBranch._id.toString() === dropoffBranch._id.toString()) {
+    return { oneWayFee: null };
+  }
+
+  const entries = await OneWayFee.find({
+    isActive: true,
+    $or: [
+      { fromBranch: pickupBranch._id, toBranch: dropoffBranch._id },
+      { fromBranch: dropoffBranch._id, toBranch: pickupBranch._id, bidirectional: true }
+    ]
+  });
+
+  // The entry for this direction wins over a bidirectional one for the way back
+  const entry = entries.find(fee => fee.fromBranch.toString() === pickupBranch._id.toString()) || entries[0];
+  const amount = entry ? entry.amount : ONE_WAY_DEFAULT_FEE;
+
+  if (amount === null) {
+    return { error: `One-way rentals from ${pickupBranch.name} to ${dropoffBranch.name} are not offered` };
+  }
+
+  return {
+    oneWayFee: {
+      label: `One-way fee (${pickupBranch.name} to ${dropoffBranch.name})`,
+      amount
+    }
+  };
+};
+
+/**
+ * Price a rental from the stored car and service prices and the active pricing rules
+ * @param {Object} params - { car, start, end, additionalServices, pickupBranch, dropoffBranch }
+ * @returns {Promise<Object>} - { quote, services } on success or { error }
+ */
+const quoteBooking = async ({ car, start, end, additionalServices, pickupBranch, dropoffBranch }) => {
+  const { services, error } = await resolveServices(additionalServices);
+  if (error) {
+    return { error };
+  }
+
+  const { oneWayFee, error: oneWayError } = await findOneWayFee(pickupBranch, dropoffBranch);
+  if (oneWayError) {
+    return { error: oneWayError };
+  }
+
+  const rules = await PricingRule.find({ isActive: true });
+
+  return {
+    quote: buildQuote({ car, start, end, services, rules, oneWayFee }),
+    services
+  };
+};
+
+module.exports = {
+  TAX_RATE,
+  roundAmount,
+  getRentalDays,
+  normalizeServiceIds,
+  resolveServices,
+  toBookingServices,
+  filterRulesForCar,
+  buildQuote,
+  findOneWayFee,
+  quoteBooking
+};
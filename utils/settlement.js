@@ -0,0 +1,144 @@
+const { roundAmount, getRentalDays, TAX_RATE } = require('./pricing');
+const { getAmountPaid } = require('./payments');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Read a numeric setting, keeping an explicit 0
+const envNumber = (name, fallback) =>
+  (process.env[name] !== undefined && process.env[name] !== '' ? parseFloat(process.env[name]) : fallback);
+
+// Post-rental charge settings, configurable per deployment
+const LATE_GRACE_MINUTES = envNumber('LATE_GRACE_MINUTES', 60);
+// Hourly late fee as a share of the daily price, capped at LATE_DAILY_MULTIPLIER days per late day
+const LATE_HOURLY_RATE = envNumber('LATE_HOURLY_RATE', 0.1);
+const LATE_DAILY_MULTIPLIER = envNumber('LATE_DAILY_MULTIPLIER', 1.5);
+// Defaults for cars without their own mileage allowance
+const INCLUDED_KM_PER_DAY = envNumber('INCLUDED_KM_PER_DAY', 250);
+const EXTRA_KM_RATE = envNumber('EXTRA_KM_RATE', 0.25);
+// Refill charged per missing percent of tank or battery, plus a flat service fee
+const REFILL_FEE_PER_PERCENT = envNumber('REFILL_FEE_PER_PERCENT', 1);
+const REFILL_SERVICE_FEE = envNumber('REFILL_SERVICE_FEE', 10);
+
+/**
+ * Fee for returning the car after endDate, once past the grace period
+ * The grace period only decides whether the fee applies; a late return is
+ * billed from endDate. Each started hour costs a share of the daily price,
+ * and no late day costs more than LATE_DAILY_MULTIPLIER times the daily price
+ * @returns {Object|null} - Line item or null when returned on time
+ */
+const lateReturnCharge = (booking, car, returnedAt) => {
+  const lateMs = returnedAt - new Date(booking.endDate);
+  if (lateMs <= LATE_GRACE_MINUTES * 60 * 1000) {
+    return null;
+  }
+
+  const lateHours = Math.ceil(lateMs / HOUR_MS);
+  const hourlyRate = car.pricePerDay * LATE_HOURLY_RATE;
+  const dailyCap = car.pricePerDay * LATE_DAILY_MULTIPLIER;
+  const amount = Math.floor(lateHours / 24) * dailyCap + Math.min((lateHours % 24) * hourlyRate, dailyCap);
+
+  return {
+    type: 'late_return',
+    label: `Late return (${lateHours} h)`,
+    quantity: lateHours,
+    unitPrice: roundAmount(hourlyRate),
+    amount: roundAmount(amount)
+  };
+};
+
+/**
+ * Per-km charge beyond the daily allowance of the booked days
+ * @returns {Object|null} - Line item or null when within the allowance
+ */
+const mileageCharge = (booking, car, checkout, checkin) => {
+  const includedPerDay = car.includedKmPerDay != null ? car.includedKmPerDay : INCLUDED_KM_PER_DAY;
+  // An allowance of 0 means unlimited mileage
+  if (!includedPerDay) {
+    return null;
+  }
+
+  const rate = car.extraKmRate != null ? car.extraKmRate : EXTRA_KM_RATE;
+  const days = getRentalDays(new Date(booking.startDate), new Date(booking.endDate));
+  const driven = checkin.odometer - checkout.odometer;
+  const extraKm = Math.ceil(driven - includedPerDay * days);
+  if (extraKm <= 0) {
+    return null;
+  }
+
+  return {
+    type: 'mileage',
+    label: `Mileage over ${includedPerDay * days} km allowance`,
+    quantity: extraKm,
+    unitPrice: rate,
+    amount: roundAmount(extraKm * rate)
+  };
+};
+
+/**
+ * Refill fee when the tank or battery comes back lower than at pickup
+ * @returns {Array} - Zero, one or two line items
+ */
+const refillCharges = (checkout, checkin) => {
+  const levels = [
+    { field: 'fuelLevel', type: 'fuel', label: 'Fuel refill' },
+    { field: 'chargeLevel', type: 'charge', label: 'Battery recharge' }
+  ];
+
+  return levels
+    .filter(({ field }) => checkout[field] != null && checkin[field] != null && checkin[field] < checkout[field])
+    .map(({ field, type, label }) => {
+      const missing = checkout[field] - checkin[field];
+      return {
+        type,
+        label: `${label} (${missing}%)`,
+        quantity: missing,
+        unitPrice: REFILL_FEE_PER_PERCENT,
+        amount: roundAmount(missing * REFILL_FEE_PER_PERCENT + REFILL_SERVICE_FEE)
+      };
+    });
+};
+
+/**
+ * Post-rental charges computed from the checkout and checkin inspections
+ * @param {Object} booking - Booking document
+ * @param {Object} car - Car document
+ * @param {Object} checkout - Checkout inspection
+ * @param {Object} checkin - Checkin inspection
+ * @returns {Array} - Line items
+ */
+const calculateReturnCharges = (booking, car, checkout, checkin) => [
+  lateReturnCharge(booking, car, new Date(checkin.performedAt)),
+  mileageCharge(booking, car, checkout, checkin),
+  ...refillCharges(checkout, checkin)
+].filter(Boolean);
+
+/**
+ * Recompute the final settlement of a booking from its extra charges
+ * The booking is not saved; callers save it with the rest of their changes
+ * @param {Object} booking - Booking document
+ * @returns {Object} - The settlement stored on the booking
+ */
+const updateSettlement = (booking) => {
+  const extraChargesSubtotal = roundAmount(booking.extraCharges.reduce((sum, item) => sum + item.amount, 0));
+  const tax = roundAmount(extraChargesSubtotal * TAX_RATE);
+  const extraChargesTotal = roundAmount(extraChargesSubtotal + tax);
+  const finalTotal = roundAmount(booking.totalAmount + extraChargesTotal);
+  // Money actually collected, which falls short of the total when dates changed after payment
+  const amountPaid = getAmountPaid(booking);
+
+  booking.settlement = {
+    extraChargesSubtotal,
+    tax,
+    extraChargesTotal,
+    finalTotal,
+    balanceDue: roundAmount(finalTotal - amountPaid),
+    settledAt: new Date()
+  };
+
+  return booking.settlement;
+};
+
+module.exports = {
+  calculateReturnCharges,
+  updateSettlement
+};
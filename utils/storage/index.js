@@ -0,0 +1,149 @@
+const path = require('path');
+const { createLocalDriver } = require('./localDriver');
+const { createS3Driver } = require('./s3Driver');
+
+// Storage backend for uploads: 'local' (default) or 's3'
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+const UPLOAD_PATH = process.env.UPLOAD_PATH || 'uploads';
+
+// Base URL files are served from when the bucket (or a CDN in front of it) is public,
+// otherwise files are served through /uploads with a signed redirect
+const PUBLIC_URL = (process.env.STORAGE_PUBLIC_URL || '').replace(/\/+$/, '');
+
+// Top-level directories with photos tied to a booking (inspections, damage reports),
+// only served to the renter and admins
+const PRIVATE_DIR_NAMES = ['inspections', 'damage'];
+// Multer writes uploads here before they are processed, never served
+const HIDDEN_DIR_NAMES = ['temp'];
+// Directories other uploads use, car photo directories must not take these names
+const RESERVED_DIR_NAMES = [...PRIVATE_DIR_NAMES, ...HIDDEN_DIR_NAMES, 'profile'];
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif'
+};
+
+const createDriver = () => {
+  switch (STORAGE_DRIVER) {
+    case 'local':
+      return createLocalDriver(UPLOAD_PATH);
+    case 's3':
+      return createS3Driver({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        signedUrlExpiresIn: parseInt(process.env.S3_SIGNED_URL_EXPIRES) || 3600
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${STORAGE_DRIVER}`);
+  }
+};
+
+const driver = createDriver();
+
+// Guess the content type of a stored file from its extension
+const contentTypeFor = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+// Build a storage key from path segments, always with forward slashes
+const joinKey = (...segments) => path.posix.join(...segments.map(segment => String(segment).replace(/\\/g, '/')));
+
+/**
+ * Store a buffer under a key
+ * @param {String} key - Path relative to the storage root, e.g. toyota_corolla/photo-1-large.webp
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { contentType }
+ * @returns {Promise<String>} - The key
+ */
+const saveBuffer = async (key, buffer, options = {}) => {
+  await driver.putBuffer(key, buffer, { contentType: options.contentType || contentTypeFor(key) });
+  return key;
+};
+
+/**
+ * Move a local file, e.g. a multer upload, into storage
+ * The local file is gone afterwards
+ * @param {String} key - Path relative to the storage root
+ * @param {String} filePath - Local file
+ * @param {Object} options - { contentType }
+ * @returns {Promise<String>} - The key
+ */
+const saveFile = async (key, filePath, options = {}) => {
+  await driver.putFile(key, filePath, { contentType: options.contentType || contentTypeFor(key) });
+  return key;
+};
+
+/**
+ * Move multer uploads into a storage directory under fresh names
+ * @param {Array} files - Multer files
+ * @param {String} dirName - Directory (key prefix) to store them in
+ * @param {Function} nameFor - Optional (file) => file name without extension
+ * @returns {Promise<Array>} - Keys of the stored files
+ */
+const saveUploadedFiles = async (files = [], dirName, nameFor) => {
+  const keys = [];
+  for (const file of files) {
+    const baseName = nameFor ? nameFor(file) : 'photo-' + Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const key = joinKey(dirName, baseName + path.extname(file.originalname).toLowerCase());
+    keys.push(await saveFile(key, file.path, { contentType: file.mimetype }));
+  }
+  return keys;
+};
+
+/**
+ * Delete stored files, ignoring the ones already gone
+ * Failures are logged rather than thrown, a leftover file is cleaned up by the upload GC
+ * @param {Array} keys - Keys to delete
+ */
+const removeFiles = async (keys = []) => {
+  for (const key of keys.filter(Boolean)) {
+    try {
+      await driver.remove(key);
+    } catch (error) {
+      console.error(`Error deleting stored file ${key}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Public URL of a stored file
+ * @param {String} key - Path relative to the storage root
+ * @returns {String}
+ */
+const fileUrl = (key) => {
+  const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+  return PUBLIC_URL ? `${PUBLIC_URL}/${encodedKey}` : `/uploads/${encodedKey}`;
+};
+
+/**
+ * Storage key of a stored path such as uploads/profile/user_1_2.jpg
+ * @param {String} storedPath - Path saved before storage keys were used, or a key
+ * @returns {String}
+ */
+const keyFromPath = (storedPath) => storedPath.replace(/^\/?uploads\//, '');
+
+module.exports = {
+  STORAGE_DRIVER,
+  UPLOAD_PATH,
+  PRIVATE_DIR_NAMES,
+  HIDDEN_DIR_NAMES,
+  RESERVED_DIR_NAMES,
+  driver,
+  contentTypeFor,
+  joinKey,
+  saveBuffer,
+  saveFile,
+  saveUploadedFiles,
+  removeFiles,
+  fileUrl,
+  keyFromPath,
+  exists: (key) => driver.exists(key),
+  list: (prefix) => driver.list(prefix),
+  getDownloadUrl: (key) => driver.getDownloadUrl(key)
+};
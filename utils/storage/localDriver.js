@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage driver writing files below a directory on the local disk
+ * Fine for development and single-instance servers with a persistent disk
+ * @param {String} root - Base directory, e.g. UPLOAD_PATH
+ * @returns {Object} - Storage driver
+ */
+const createLocalDriver = (root) => {
+  const rootPath = path.resolve(root);
+
+  // Absolute path of a key, refusing keys that leave the root
+  const resolveKey = (key) => {
+    const fullPath = path.resolve(rootPath, key);
+    if (!fullPath.startsWith(rootPath + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return fullPath;
+  };
+
+  // Remove directories left empty by a deletion, up to the root
+  const pruneEmptyDirs = async (dirPath) => {
+    while (dirPath !== rootPath && dirPath.startsWith(rootPath)) {
+      const entries = await fs.promises.readdir(dirPath).catch(() => null);
+      if (!entries || entries.length > 0) {
+        return;
+      }
+      await fs.promises.rmdir(dirPath).catch(() => {});
+      dirPath = path.dirname(dirPath);
+    }
+  };
+
+  const putBuffer = async (key, buffer) => {
+    const fullPath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.promises.writeFile(fullPath, buffer);
+  };
+
+  const putFile = async (key, filePath) => {
+    const fullPath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+    try {
+      await fs.promises.rename(filePath, fullPath);
+    } catch (error) {
+      // rename does not work across devices, e.g. with a temp dir on another disk
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+      await fs.promises.copyFile(filePath, fullPath);
+      await fs.promises.unlink(filePath);
+    }
+  };
+
+  const remove = async (key) => {
+    const fullPath = resolveKey(key);
+    try {
+      await fs.promises.unlink(fullPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    await pruneEmptyDirs(path.dirname(fullPath));
+  };
+
+  const exists = async (key) => fs.existsSync(resolveKey(key));
+
+  // Every stored file below a prefix, with its size and last change
+  const list = async (prefix = '') => {
+    const files = [];
+    const walk = async (dirPath) => {
+      const entries = await fs.promises.readdir(dirPath, { withFileTypes: true }).catch(() => []);
+      for (const entry of entries) {
+        const entryPath = path.join(dirPath, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else if (entry.isFile()) {
+          const stats = await fs.promises.stat(entryPath);
+          files.push({
+            key: path.relative(rootPath, entryPath).replace(/\\/g, '/'),
+            size: stats.size,
+            lastModified: stats.mtime
+          });
+        }
+      }
+    };
+    await walk(prefix ? resolveKey(prefix) : rootPath);
+    return files;
+  };
+
+  // Local files are streamed by the API, see controllers/fileController
+  const getDownloadUrl = async () => null;
+
+  return {
+    name: 'local',
+    root: rootPath,
+    resolveKey,
+    putBuffer,
+    putFile,
+    remove,
+    exists,
+    list,
+    getDownloadUrl
+  };
+};
+
+module.exports = { createLocalDriver };
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * Storage driver for Amazon S3 and S3-compatible services
+ * For a local MinIO set endpoint to e.g. http://localhost:9000 and forcePathStyle
+ * @param {Object} config - { bucket, region, endpoint, accessKeyId, secretAccessKey,
+ *   forcePathStyle, signedUrlExpiresIn }
+ * @returns {Object} - Storage driver
+ */
+const createS3Driver = (config) => {
+  if (!config.bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: config.region,
+    endpoint: config.endpoint || undefined,
+    forcePathStyle: config.forcePathStyle,
+    // Without explicit keys the SDK falls back to its default credential chain
+    credentials: config.accessKeyId && config.secretAccessKey
+      ? { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey }
+      : undefined
+  });
+
+  const putBuffer = async (key, buffer, { contentType } = {}) => {
+    await client.send(new PutObjectCommand({
+      Bucket: config.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+  };
+
+  // Upload a local file and remove it
+  const putFile = async (key, filePath, options) => {
+    await putBuffer(key, await fs.promises.readFile(filePath), options);
+    await fs.promises.unlink(filePath);
+  };
+
+  // Deleting a missing object succeeds on S3
+  const remove = async (key) => {
+    await client.send(new DeleteObjectCommand({ Bucket: config.bucket, Key: key }));
+  };
+
+  const exists = async (key) => {
+    try {
+      await client.send(new HeadObjectCommand({ Bucket: config.bucket, Key: key }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        return false;
+      }
+      throw error;
+    }
+  };
+
+  // Every object below a prefix, with its size and last change
+  const list = async (prefix = '') => {
+    const files = [];
+    let ContinuationToken;
+    do {
+      const page = await client.send(new ListObjectsV2Command({
+        Bucket: config.bucket,
+        Prefix: prefix || undefined,
+        ContinuationToken
+      }));
+      (page.Contents || []).forEach(object => {
+        files.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+      });
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+    return files;
+  };
+
+  // Short-lived link for private buckets
+  const getDownloadUrl = (key) => getSignedUrl(
+    client,
+    new GetObjectCommand({ Bucket: config.bucket, Key: key }),
+    { expiresIn: config.signedUrlExpiresIn }
+  );
+
+  return {
+    name: 's3',
+    putBuffer,
+    putFile,
+    remove,
+    exists,
+    list,
+    getDownloadUrl
+  };
+};
+
+module.exports = { createS3Driver };
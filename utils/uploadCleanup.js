@@ -0,0 +1,150 @@
+const Car = require('../models/Car');
+const User = require('../models/User');
+const Inspection = require('../models/Inspection');
+const DamageReport = require('../models/DamageReport');
+const Review = require('../models/Review');
+const storage = require('./storage');
+const { createLocalDriver } = require('./storage/localDriver');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Files younger than this are kept, they may belong to a request still in progress
+const UPLOAD_GC_GRACE_HOURS = parseFloat(process.env.UPLOAD_GC_GRACE_HOURS) || 24;
+// How often the server runs the cleanup, 0 turns the scheduled job off
+const UPLOAD_GC_INTERVAL_HOURS = process.env.UPLOAD_GC_INTERVAL_HOURS !== undefined && process.env.UPLOAD_GC_INTERVAL_HOURS !== ''
+  ? parseFloat(process.env.UPLOAD_GC_INTERVAL_HOURS)
+  : 24;
+
+// Multer always writes to the local temp directory, whatever the storage driver
+const TEMP_DIR_NAME = 'temp';
+
+/**
+ * Storage keys referenced by any document
+ * Car photos are read from the raw collection so photos not yet converted by
+ * scripts/migrateCarPhotos.js still count
+ * @returns {Promise<Set>}
+ */
+const findReferencedKeys = async () => {
+  const keys = new Set();
+  const add = (storedPath) => {
+    if (typeof storedPath === 'string' && storedPath) {
+      keys.add(storage.keyFromPath(storedPath));
+    }
+  };
+
+  const cars = await Car.collection.find({}, { projection: { photos: 1 } }).toArray();
+  cars.forEach(car => (car.photos || []).forEach(photo => {
+    if (typeof photo === 'string') {
+      add(photo);
+    } else if (photo && photo.variants) {
+      Object.values(photo.variants).forEach(add);
+    }
+  }));
+
+  const [profileImages, reviewImages, inspectionPhotos, damagePhotos] = await Promise.all([
+    User.distinct('profileImage'),
+    // Reviews keep a copy of the author's profile image at the time of writing
+    Review.distinct('userImage'),
+    Inspection.distinct('photos'),
+    DamageReport.distinct('photos')
+  ]);
+  [...profileImages, ...reviewImages, ...inspectionPhotos, ...damagePhotos].forEach(add);
+
+  return keys;
+};
+
+// Human readable size, e.g. 12.3 MB
+const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${Math.round(value * 10) / 10} ${units[unit]}`;
+};
+
+/**
+ * Delete uploads no document references any more, plus leftovers in the temp directory
+ * Only files older than the grace period are touched
+ * @param {Object} options - { graceHours, dryRun, now }
+ * @returns {Promise<Object>} - { scanned, orphaned: [{ key, size, lastModified }], deleted, bytesReclaimed, failed }
+ */
+const cleanupOrphanedUploads = async (options = {}) => {
+  const graceHours = options.graceHours != null ? options.graceHours : UPLOAD_GC_GRACE_HOURS;
+  const cutoff = new Date((options.now || new Date()).getTime() - graceHours * HOUR_MS);
+
+  // List the files before loading the references, so a file stored and
+  // referenced in between is never seen as an orphan
+  const tempDriver = createLocalDriver(storage.UPLOAD_PATH);
+  const tempFiles = (await tempDriver.list(TEMP_DIR_NAME)).map(file => ({ ...file, temp: true }));
+  const storedFiles = (await storage.list()).filter(file => !file.key.startsWith(`${TEMP_DIR_NAME}/`));
+  const referenced = await findReferencedKeys();
+
+  // Only images are ever uploaded, anything else in the storage root is left alone
+  const orphaned = [...tempFiles, ...storedFiles].filter(file =>
+    file.lastModified < cutoff &&
+    storage.contentTypeFor(file.key).startsWith('image/') &&
+    (file.temp || !referenced.has(file.key))
+  );
+
+  const result = {
+    scanned: tempFiles.length + storedFiles.length,
+    orphaned: orphaned.map(({ key, size, lastModified }) => ({ key, size, lastModified })),
+    deleted: 0,
+    bytesReclaimed: 0,
+    failed: 0
+  };
+
+  if (options.dryRun) {
+    result.bytesReclaimed = orphaned.reduce((sum, file) => sum + file.size, 0);
+    return result;
+  }
+
+  for (const file of orphaned) {
+    try {
+      await (file.temp ? tempDriver : storage.driver).remove(file.key);
+      result.deleted++;
+      result.bytesReclaimed += file.size;
+    } catch (error) {
+      result.failed++;
+      console.error(`Error deleting orphaned upload ${file.key}:`, error.message);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Run the cleanup periodically in the server process
+ * @returns {Object|null} - The interval, null when turned off
+ */
+const scheduleUploadCleanup = () => {
+  if (!UPLOAD_GC_INTERVAL_HOURS || UPLOAD_GC_INTERVAL_HOURS <= 0) {
+    return null;
+  }
+
+  const run = async () => {
+    try {
+      const { scanned, deleted, bytesReclaimed, failed } = await cleanupOrphanedUploads();
+      console.log(`Upload cleanup: scanned ${scanned} files, deleted ${deleted} orphans, reclaimed ${formatBytes(bytesReclaimed)}` +
+        (failed ? `, ${failed} could not be deleted` : ''));
+    } catch (error) {
+      console.error('Error cleaning up uploads:', error);
+    }
+  };
+
+  const interval = setInterval(run, UPLOAD_GC_INTERVAL_HOURS * HOUR_MS);
+  // Do not keep the process alive just for the cleanup
+  interval.unref();
+  return interval;
+};
+
+module.exports = {
+  UPLOAD_GC_GRACE_HOURS,
+  findReferencedKeys,
+  formatBytes,
+  cleanupOrphanedUploads,
+  scheduleUploadCleanup
+};